@@ -6,10 +6,27 @@
  * A powerful CLI tool for parsing and manipulating markdown files as tree structures.
  */
 
+import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { createTwoFilesPatch } from 'diff';
+import { globby, isDynamicPattern } from 'globby';
 import { MarkdownTreeParser } from '../lib/markdown-parser.js';
+import { slugify, findClosestSlug, SLUG_DIALECTS } from '../lib/slugger.js';
+import {
+  LINK_REPORT_FORMATS,
+  summarizeLinkResults,
+  formatJsonReport,
+  formatJUnitReport,
+  formatSarifReport,
+} from '../lib/link-report.js';
+import { LinkChecker } from '../lib/link-checker.js';
+import { createLinkFilter } from '../lib/link-filter.js';
+import { loadConfig, loadConfigFile } from '../lib/config.js';
+import { loadPlugins, resolvePluginPaths } from '../lib/plugins.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const packagePath = path.join(__dirname, '..', 'package.json');
@@ -17,12 +34,17 @@ const packagePath = path.join(__dirname, '..', 'package.json');
 // Constants
 const PATTERNS = {
   HEADING: /^(#{1,6})(\s+.*)$/,
+  // Opening hashes of an ATX heading line (also with CRLF line endings)
+  ATX_HEADING: /^(#{1,6})(?=\s|$)/,
   HEADING_LEVEL_1_5: /^(#{1,5})(\s+.*)$/,
   LEVEL_1_HEADING: /^# /,
   LEVEL_2_HEADING: /^## /,
-  TOC_LINK: /\[([^\]]+)\]\(\.\/([^#)]+)(?:#[^)]*)?\)/,
-  LEVEL_2_TOC_ITEM: /^ {2}[-*] \[/,
   EMAIL: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+  // md-tree ignore comments, other comments (skipped) and opening tags
+  HTML_TOKEN:
+    /<!--\s*md-tree-ignore-(next-link|start|end)\s*-->|<!--[\s\S]*?-->|<([a-z][\w-]*)(\s[^>]*)?>/gi,
+  HTML_URL_ATTRIBUTE: /\b(?:src|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi,
+  IMAGE_FILE: /\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?)$/i,
 };
 
 const LIMITS = {
@@ -31,33 +53,222 @@ const LIMITS = {
   MAX_HEADING_LEVEL_FOR_ADJUSTMENT: 5,
 };
 
+// File argument that reads from stdin (and writes edits to stdout)
+const STDIN = '-';
+
+// Written by explode next to index.md; assemble reads the sections from it
+const MANIFEST_FILE = 'md-tree.json';
+
+// Used by --cache when no --cache-file is given
+const DEFAULT_LINK_CACHE = '.md-tree-cache.json';
+
 const MESSAGES = {
   FILE_NOT_FOUND: '❌ File not found',
   WRITE_SUCCESS: '✅ Written to',
+  REMOVE_SUCCESS: '🗑️  Removed',
+  DRY_RUN_CREATE: '📝 Would create',
+  DRY_RUN_UPDATE: '📝 Would update',
+  DRY_RUN_REMOVE: '🗑️  Would remove',
+  DRY_RUN_UNCHANGED: '⏭️  Unchanged',
   PROCESSING: '✅ Processing',
   NO_SECTIONS_FOUND: '⚠️  No sections found',
   WARNING: '⚠️  Warning',
   ERROR: '❌ Error',
-  USAGE_LIST: '❌ Usage: md-tree list <file>',
+  USAGE_LIST: '❌ Usage: md-tree list <file...>',
   USAGE_EXTRACT: '❌ Usage: md-tree extract <file> <heading>',
   USAGE_EXTRACT_ALL: '❌ Usage: md-tree extract-all <file> [level]',
   USAGE_EXPLODE: '❌ Usage: md-tree explode <file> <output-directory>',
   USAGE_ASSEMBLE: '❌ Usage: md-tree assemble <directory> <output-file>',
-  USAGE_TREE: '❌ Usage: md-tree tree <file>',
-  USAGE_SEARCH: '❌ Usage: md-tree search <file> <selector>',
-  USAGE_STATS: '❌ Usage: md-tree stats <file>',
-  USAGE_TOC: '❌ Usage: md-tree toc <file>',
-  USAGE_CHECK_LINKS: '❌ Usage: md-tree check-links <file>',
+  USAGE_ROUNDTRIP_CHECK: '❌ Usage: md-tree roundtrip-check <file>',
+  USAGE_TREE: '❌ Usage: md-tree tree <file...>',
+  USAGE_OUTLINE: '❌ Usage: md-tree outline <file...> [--format json]',
+  USAGE_SEARCH: '❌ Usage: md-tree search <file...> <selector>',
+  USAGE_STATS: '❌ Usage: md-tree stats <file...>',
+  USAGE_TOC: '❌ Usage: md-tree toc <file...>',
+  USAGE_BUILD: '❌ Usage: md-tree build <file> [-o <output-file>]',
+  USAGE_CHECK_LINKS: '❌ Usage: md-tree check-links <file...>',
+  USAGE_REPLACE: '❌ Usage: md-tree replace <file> <heading> <content-file>',
+  USAGE_INSERT: '❌ Usage: md-tree insert <file> <heading> <content-file>',
+  USAGE_REMOVE: '❌ Usage: md-tree remove <file> <heading>',
+  USAGE_MOVE: '❌ Usage: md-tree move <file> <heading> <target-heading>',
+  USAGE_FRONTMATTER: '❌ Usage: md-tree frontmatter <file> [key] [value]',
+  USAGE_CONFIG: '❌ Usage: md-tree config --print',
   INDEX_NOT_FOUND: 'index.md not found in',
   NO_MAIN_TITLE: 'No main title found in index.md',
   NO_SECTION_FILES: 'No section files found in TOC',
   SECTION_ARROW: '→',
   TOC_CREATED: 'Table of Contents → index.md',
+  MANIFEST_CREATED: `Manifest → ${MANIFEST_FILE}`,
+};
+
+// Option defaults, overridden by the config file and then by CLI flags
+const DEFAULT_OPTIONS = {
+  output: null,
+  level: 2,
+  format: 'text',
+  maxLevel: 3,
+  recursive: false,
+  naming: 'suffix',
+  gfm: false,
+  slug: 'github',
+  stringify: {},
+  plugins: [],
+  dryRun: false,
+  force: false,
+  clean: false,
+  before: false,
+  append: false,
+  keepSubsections: false,
+  write: false,
+  check: false,
+  heading: null,
+  warnOnly: false,
+  concurrency: 8,
+  timeout: 10000,
+  retries: 2,
+  rateLimit: 0,
+  cache: false,
+  cacheFile: null,
+  cacheTtl: 86400,
+  ignore: [],
+  allow: [],
+  rules: {
+    'undefined-reference': 'error',
+    'duplicate-definition': 'error',
+    'unused-definition': 'warn',
+    'missing-alt-text': 'off',
+  },
+  maxImageSize: null,
+  raw: false,
+  print: false,
+  config: null,
+};
+
+const RULE_SEVERITIES = ['error', 'warn', 'off'];
+
+// How explode names the file of a section whose name is taken
+const NAMING_STRATEGIES = ['suffix', 'number', 'hash'];
+
+// Config file keys (dotted paths) and the options they set
+const CONFIG_OPTIONS = {
+  gfm: 'gfm',
+  slug: 'slug',
+  level: 'level',
+  maxLevel: 'maxLevel',
+  naming: 'naming',
+  stringify: 'stringify',
+  plugins: 'plugins',
+  'checkLinks.ignore': 'ignore',
+  'checkLinks.allow': 'allow',
+  'checkLinks.rules': 'rules',
+  'checkLinks.warnOnly': 'warnOnly',
+  'checkLinks.concurrency': 'concurrency',
+  'checkLinks.timeout': 'timeout',
+  'checkLinks.retries': 'retries',
+  'checkLinks.rateLimit': 'rateLimit',
+  'checkLinks.cache': 'cache',
+  'checkLinks.cacheFile': 'cacheFile',
+  'checkLinks.cacheTtl': 'cacheTtl',
+  'checkLinks.maxImageSize': 'maxImageSize',
 };
 
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parse a size like "500kb" or "2MB" (binary units, bytes by default)
+ * @param {string} value - Size with an optional unit
+ * @returns {number|null} Size in bytes, or null if it is not a valid size
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i.exec(value ?? '');
+  if (!match) return null;
+  return Math.round(
+    Number(match[1]) * SIZE_UNITS[(match[2] ?? 'b').toLowerCase()]
+  );
+}
+
+function formatBytes(bytes) {
+  const unit = ['gb', 'mb', 'kb'].find((name) => bytes >= SIZE_UNITS[name]);
+  return unit
+    ? `${Number((bytes / SIZE_UNITS[unit]).toFixed(1))} ${unit.toUpperCase()}`
+    : `${bytes} B`;
+}
+
+// Link paths may be percent-encoded, e.g. "my%20image.png"
+function decodePath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch {
+    return urlPath;
+  }
+}
+
+// Links with a scheme, root-relative and protocol-relative links and bare
+// anchors or queries do not depend on the directory of the file
+function isRelativeLink(url) {
+  return url !== '' && !/^(?:[a-z][a-z\d+.-]*:|[/\\#?])/i.test(url);
+}
+
+// Split a URL into its path and its query and fragment
+function splitLink(url) {
+  const [, urlPath, suffix] = /^([^?#]*)(.*)$/s.exec(url);
+  return { urlPath, suffix };
+}
+
+// Relative path between two files as a link, e.g. "./setup.md"
+function linkBetween(fromFile, toFile) {
+  const link = path
+    .relative(path.dirname(fromFile), toFile)
+    .split(path.sep)
+    .join('/');
+  return link.startsWith('../') ? link : `./${link}`;
+}
+
+/**
+ * Find the destination of a link, image or definition in the source
+ * @param {string} source - Markdown the node was parsed from
+ * @param {Object} node - link, image or definition node
+ * @returns {{start: number, end: number}|null} Offsets of the URL as
+ *   written, or null if it is not written literally (escaped or encoded)
+ */
+function findLinkDestination(source, node) {
+  const { start, end } = node.position;
+  const marker = node.type === 'definition' ? ']:' : '](';
+  const from =
+    node.type === 'link' && node.children.length > 0
+      ? node.children.at(-1).position.end.offset
+      : start.offset;
+
+  let index = source.indexOf(marker, from);
+  if (index === -1 || index >= end.offset) return null;
+  index += marker.length;
+  while (/\s/.test(source[index])) index++;
+  if (source[index] === '<') index++;
+
+  return source.startsWith(node.url, index)
+    ? { start: index, end: index + node.url.length }
+    : null;
+}
+
+// Position of a character in the raw value of an html node
+function pointInNode(node, index) {
+  const { line, column } = node.position.start;
+  const lines = node.value.slice(0, index).split('\n');
+  return lines.length === 1
+    ? { line, column: column + index }
+    : { line: line + lines.length - 1, column: lines.at(-1).length + 1 };
+}
+
 class MarkdownCLI {
   constructor() {
     this.parser = new MarkdownTreeParser();
+    // Anchors of linked markdown files, keyed by absolute path
+    this.anchorCache = new Map();
+    this.linkChecker = new LinkChecker();
+    this.isIgnoredLink = createLinkFilter();
+    // Emit only the payload (--raw/--quiet)
+    this.raw = false;
+    this.stdinContent = null;
   }
 
   async getVersion() {
@@ -69,7 +280,38 @@ class MarkdownCLI {
     }
   }
 
+  /**
+   * Read all of stdin once; later reads of "-" get the same content
+   * @returns {Promise<string>} The piped input
+   */
+  async readStdin() {
+    if (this.stdinContent === null) {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      this.stdinContent = Buffer.concat(chunks).toString('utf-8');
+    }
+    return this.stdinContent;
+  }
+
+  // Name of an input file in messages
+  displayName(filePath) {
+    return filePath === STDIN ? 'stdin' : path.basename(filePath);
+  }
+
+  // Print a banner or status line, unless only the payload is wanted (--raw)
+  info(...args) {
+    if (!this.raw) {
+      console.log(...args);
+    }
+  }
+
   async readFile(filePath) {
+    if (filePath === STDIN) {
+      return this.readStdin();
+    }
+
     try {
       // Resolve relative paths
       const resolvedPath = path.resolve(filePath);
@@ -84,10 +326,16 @@ class MarkdownCLI {
   }
 
   async writeFile(filePath, content) {
+    // Edits of stdin input go to stdout, so they can be piped further
+    if (filePath === STDIN) {
+      process.stdout.write(content);
+      return;
+    }
+
     try {
       const resolvedPath = path.resolve(filePath);
       await fs.writeFile(resolvedPath, content, 'utf-8');
-      console.log(
+      this.info(
         `${MESSAGES.WRITE_SUCCESS} ${path.relative(process.cwd(), resolvedPath)}`
       );
     } catch (error) {
@@ -100,20 +348,116 @@ class MarkdownCLI {
   }
 
   /**
-   * Sanitize text for use in filenames or URL anchors
+   * Write the files a command produces, without overwriting anything unless
+   * forced. With dryRun, list what would be written or removed, with a diff
+   * against the files on disk, instead.
+   * @param {Array<{path: string, content: string}>} files - Files to write
+   * @param {Object} options - Write options
+   * @param {string|null} options.outputDir - Directory the files are written
+   *   to, which must be empty or missing unless forced
+   * @param {string[]} options.remove - Stale files to delete
+   * @param {boolean} options.force - Overwrite existing files
+   * @param {boolean} options.dryRun - Only list the changes
+   * @returns {Promise<boolean>} Whether the files were written
+   */
+  async writeOutputs(
+    files,
+    { outputDir = null, remove = [], force = false, dryRun = false } = {}
+  ) {
+    const existing = new Map();
+    for (const file of files) {
+      if (file.path === STDIN) continue;
+      try {
+        existing.set(file.path, await fs.readFile(file.path, 'utf-8'));
+      } catch {
+        // A new file
+      }
+    }
+
+    let conflict = null;
+    if (!force) {
+      const changed = files.find(
+        (file) =>
+          existing.has(file.path) && existing.get(file.path) !== file.content
+      );
+      if (outputDir && (await fs.readdir(outputDir).catch(() => [])).length) {
+        conflict = `Output directory ${outputDir} is not empty`;
+      } else if (changed) {
+        conflict = `${changed.path} already exists`;
+      }
+    }
+
+    const relative = (filePath) =>
+      filePath === STDIN
+        ? 'stdout'
+        : path.relative(process.cwd(), path.resolve(filePath));
+
+    if (dryRun) {
+      for (const file of files) {
+        const name = relative(file.path);
+        const before = existing.get(file.path);
+        if (before === file.content) {
+          console.log(`${MESSAGES.DRY_RUN_UNCHANGED} ${name}`);
+          continue;
+        }
+        console.log(
+          `${before === undefined ? MESSAGES.DRY_RUN_CREATE : MESSAGES.DRY_RUN_UPDATE} ${name}`
+        );
+        console.log(
+          createTwoFilesPatch(name, name, before ?? '', file.content)
+        );
+      }
+      for (const file of remove) {
+        console.log(`${MESSAGES.DRY_RUN_REMOVE} ${relative(file)}`);
+      }
+      if (conflict) {
+        console.log(`${MESSAGES.WARNING}: ${conflict}, writing needs --force`);
+      }
+      return false;
+    }
+
+    if (conflict) {
+      console.error(`${MESSAGES.ERROR} ${conflict} (use --force to overwrite)`);
+      process.exit(1);
+    }
+
+    for (const file of files) {
+      if (file.path !== STDIN) {
+        await fs.mkdir(path.dirname(path.resolve(file.path)), {
+          recursive: true,
+        });
+      }
+      await this.writeFile(file.path, file.content);
+    }
+    for (const file of remove) {
+      await fs.rm(file, { force: true });
+      this.info(`${MESSAGES.REMOVE_SUCCESS} ${relative(file)}`);
+      await this.removeEmptyDirectories(path.dirname(file), outputDir);
+    }
+    return true;
+  }
+
+  // Remove directories left empty by removed files, up to the output directory
+  async removeEmptyDirectories(dir, outputDir) {
+    const root = path.resolve(outputDir);
+    let current = path.resolve(dir);
+    while (current !== root && current.startsWith(`${root}${path.sep}`)) {
+      try {
+        await fs.rmdir(current);
+      } catch {
+        return; // Not empty
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Sanitize text for use in filenames
    * @param {string} text - Text to sanitize
    * @returns {string} Sanitized text
    */
   sanitizeText(text) {
-    return text
-      .toLowerCase()
-      .replace(
-        /[^a-z0-9\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af\s-]/g,
-        ''
-      )
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    return slugify(text, 'plain');
   }
 
   // Alias for backward compatibility and semantic clarity
@@ -121,9 +465,9 @@ class MarkdownCLI {
     return this.sanitizeText(text);
   }
 
-  // Alias for backward compatibility and semantic clarity
+  // URL anchors follow the parser's slug dialect so they match rendered headings
   createAnchor(text) {
-    return this.sanitizeText(text);
+    return this.parser.createSlug(text);
   }
 
   async showUsage() {
@@ -134,77 +478,163 @@ class MarkdownCLI {
 Usage: md-tree <command> <file> [options]
 
 Commands:
-  list <file>                   List all headings in the file
-  extract <file> <heading>      Extract a specific section by heading text
+  list <file...>                List all headings in the file
+  extract <file> <heading>      Extract a specific section by heading text,
+                                path ("Usage > Advanced"), #slug or ordinal (2.3)
   extract-all <file> [level]    Extract all sections at level (default: 2)
   explode <file> <output-dir>   Extract all level 2 sections and create index
+                                (--level N splits deeper, -r nests them)
   assemble <dir> <output-file>  Reassemble exploded document from directory
-  tree <file>                   Show the document structure as a tree
-  search <file> <selector>      Search using CSS-like selectors
-  stats <file>                  Show document statistics
-  toc <file>                    Generate table of contents
-  check-links <file>            Verify that links are reachable
+  roundtrip-check <file>        Check that explode and assemble reproduce the
+                                file exactly (prints a diff if not)
+  tree <file...>                Show the document structure as a tree
+  outline <file...>             Show nested sections with line ranges
+  search <file...> <selector>   Search using CSS-like selectors
+  stats <file...>               Show document statistics
+  toc <file...>                 Generate table of contents (--write to update
+                                it in place, --check to verify it in CI)
+  build <file> -o <output-file> Resolve <!-- include: ./file.md#Section -->
+                                directives (--check to verify the output)
+  check-links <file...>         Verify that links are reachable (exits
+                                non-zero if any link is broken)
+  replace <file> <heading> <content-file>
+                                Replace a section with the content of a file
+  insert <file> <heading> <content-file>
+                                Insert content after (or --before) a section
+  remove <file> <heading>       Remove a section and its subsections
+  move <file> <heading> <target>
+                                Move a section after (or --before) another
+  frontmatter <file> [key] [value]
+                                Show frontmatter, or read/set a key
+  config --print                Show the effective configuration
   version                       Show version information
   help                          Show this help message
 
+  <file...> accepts several files, directories and globs such as
+  "docs/**/*.md" (files ignored by .gitignore are skipped).
+  Use - as <file> to read from stdin; edits of stdin are printed to stdout.
+
+  Defaults are read from the nearest .mdtreerc, .mdtreerc.json,
+  .mdtreerc.yaml or md-tree.config.js; flags override them.
+
 Options:
+  --config, -c <path>           Use this config file instead of searching
   --output, -o <dir>            Output directory for extracted files
   --level, -l <number>          Heading level to work with
-  --format, -f <json|text>      Output format (default: text)
-  --max-level <number>          Maximum heading level for TOC (default: 3)
-  --recursive, -r               Recursively check linked markdown files
+  --format, -f <json|text>      Output format (default: text); check-links
+                                also supports junit and sarif
+  --max-level <number>          Maximum heading level for TOC and for
+                                explode -r (default: 3)
+  --recursive, -r               Recursively check linked markdown files, or
+                                explode into nested directories
+  --naming <strategy>           How explode names sections whose file name
+                                is taken or empty: suffix (setup-1.md),
+                                number (01-setup.md) or hash (default: suffix)
+  --gfm                         Enable GitHub Flavored Markdown syntax
+  --plugin <module>             Load a remark plugin (package or path,
+                                repeatable)
+  --raw, --quiet, -q            Print only the payload (markdown or JSON)
+  --slug <dialect>              Anchor style: github (default), gitlab,
+                                bitbucket or plain
+  --dry-run                     Show a diff instead of editing or writing
+                                files
+  --force                       Let explode, extract -o, assemble and
+                                build -o overwrite existing files
+  --clean                       Remove files of an earlier explode that no
+                                heading maps to anymore
+  --before                      Insert or move before the target section
+  --append                      Insert at the end of the section's own body
+  --keep-subsections            Only replace the section's heading and body
+  --write                       Update the TOC between <!-- toc --> markers
+  --check                       Exit non-zero if the TOC is out of date
+  --heading <text>              Update the TOC under this heading instead
+  --warn-only                   Report broken links without failing
+  --concurrency <number>        External links checked at once (default: 8)
+  --timeout <ms>                Timeout per request (default: 10000)
+  --retries <number>            Retries for timeouts, 429 and 5xx (default: 2)
+  --rate-limit <number>         Max requests per second per host
+  --cache                       Skip URLs verified recently (cached in
+                                .md-tree-cache.json)
+  --cache-file <path>           Use this cache file (implies --cache)
+  --cache-ttl <seconds>         How long a verified URL is cached
+                                (default: 86400)
+  --ignore <pattern>            Skip links matching a glob or /regex/
+                                (repeatable)
+  --allow <pattern>             Check matching links even if ignored
+  --check-alt                   Fail images that have no alt text
+  --max-image-size <size>       Fail local images larger than this (e.g. 500kb)
 
 Examples:
   md-tree list README.md
   md-tree extract README.md "Installation"
+  md-tree extract README.md "Usage > Advanced Usage"
+  cat README.md | md-tree extract - Usage --raw | pandoc -o usage.html
   md-tree extract-all README.md 2 --output ./sections
   md-tree explode README.md ./exploded
+  md-tree explode spec.md ./spec --level 3
+  md-tree explode spec.md ./spec --recursive
+  md-tree explode README.md ./exploded --force --clean --dry-run
   md-tree assemble ./exploded reassembled.md
+  md-tree roundtrip-check spec.md --level 3
   md-tree tree README.md
+  md-tree outline README.md --format json
   md-tree search README.md "heading[depth=2]"
   md-tree stats README.md
+  md-tree stats "docs/**/*.md" --format json
   md-tree toc README.md --max-level 2
+  md-tree toc README.md --write
+  md-tree toc README.md --check --heading "Contents"
+  md-tree build handbook.md -o HANDBOOK.md --check
+  md-tree stats README.md --gfm
+  md-tree check-links README.md --format sarif > links.sarif
+  md-tree check-links docs/index.md -r --cache --rate-limit 2
+  md-tree check-links README.md --ignore "http://localhost*"
+  md-tree replace README.md "Usage > Advanced" ./advanced.md --dry-run
+  md-tree move README.md "License" "Installation" --before
+  md-tree frontmatter docs/page.md title
+  md-tree frontmatter docs/page.md tags "[cli, markdown]"
+  md-tree config --print --slug gitlab
 
 For more information, visit: https://github.com/ksylvan/markdown-tree-parser
 `);
   }
 
+  /**
+   * Print the headings of a file
+   * @returns {Promise<Array|undefined>} The headings for --format json
+   */
   async listHeadings(filePath, format = 'text') {
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const headings = this.parser.getHeadingsList(tree);
 
     if (format === 'json') {
-      console.log(
-        JSON.stringify(
-          headings.map((h) => ({
-            level: h.level,
-            text: h.text,
-          })),
-          null,
-          2
-        )
-      );
+      return headings.map((h) => ({
+        level: h.level,
+        text: h.text,
+      }));
     } else {
-      console.log(
-        `\n📋 Headings in ${path.basename(filePath)} (${headings.length} total):\n`
+      this.info(
+        `\n📋 Headings in ${this.displayName(filePath)} (${headings.length} total):\n`
       );
       headings.forEach((h, _index) => {
         const indent = '  '.repeat(h.level - 1);
         const icon = h.level === 1 ? '📁' : h.level === 2 ? '📄' : '📃';
-        console.log(`${indent}${icon} ${h.text}`);
+        console.log(
+          this.raw ? `${indent}${h.text}` : `${indent}${icon} ${h.text}`
+        );
       });
     }
   }
 
-  async extractSection(filePath, headingText, outputDir = null) {
+  async extractSection(filePath, headingText, outputDir = null, options = {}) {
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const section = this.parser.extractSection(tree, headingText);
 
     if (!section) {
       console.error(
-        `${MESSAGES.ERROR} Section "${headingText}" not found in ${path.basename(filePath)}`
+        `${MESSAGES.ERROR} Section "${headingText}" not found in ${this.displayName(filePath)}`
       );
 
       // Suggest similar headings
@@ -227,50 +657,63 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       process.exit(1);
     }
 
-    const markdown = await this.parser.stringify(section);
+    const markdown = await this.parser.stringify(section, { source: content });
 
     if (outputDir) {
-      const filename = `${this.sanitizeFilename(headingText)}.md`;
-      const outputPath = path.join(outputDir, filename);
-      await fs.mkdir(outputDir, { recursive: true });
-      await this.writeFile(outputPath, markdown);
+      // Name the file after the resolved heading, not the address used to find it
+      const filename = `${this.sanitizeFilename(this.parser.getHeadingText(section.children[0]))}.md`;
+      await this.writeOutputs(
+        [{ path: path.join(outputDir, filename), content: markdown }],
+        { force: options.force, dryRun: options.dryRun }
+      );
+    } else if (this.raw) {
+      process.stdout.write(markdown);
     } else {
       console.log(`\n📄 Section "${headingText}":\n`);
       console.log(markdown);
     }
   }
 
-  async extractAllSections(filePath, level = 2, outputDir = null) {
+  async extractAllSections(
+    filePath,
+    level = 2,
+    outputDir = null,
+    options = {}
+  ) {
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const sections = this.parser.extractAllSections(tree, level);
 
     if (sections.length === 0) {
       console.log(
-        `${MESSAGES.NO_SECTIONS_FOUND} at level ${level} in ${path.basename(filePath)}`
+        `${MESSAGES.NO_SECTIONS_FOUND} at level ${level} in ${this.displayName(filePath)}`
       );
       return;
     }
 
-    console.log(
-      `\n📚 Found ${sections.length} sections at level ${level} in ${path.basename(filePath)}:\n`
+    this.info(
+      `\n📚 Found ${sections.length} sections at level ${level} in ${this.displayName(filePath)}:\n`
     );
 
-    if (outputDir) {
-      await fs.mkdir(outputDir, { recursive: true });
-    }
-
+    const outputs = [];
     for (let i = 0; i < sections.length; i++) {
       const section = sections[i];
       const headingText = section.headingText;
-      const markdown = await this.parser.stringify(section.tree);
+      const markdown = await this.parser.stringify(section.tree, {
+        source: content,
+      });
 
-      console.log(`${i + 1}. ${headingText}`);
+      this.info(`${i + 1}. ${headingText}`);
 
       if (outputDir) {
         const filename = `${String(i + 1).padStart(2, '0')}-${this.sanitizeFilename(headingText)}.md`;
-        const outputPath = path.join(outputDir, filename);
-        await this.writeFile(outputPath, markdown);
+        outputs.push({
+          path: path.join(outputDir, filename),
+          content: markdown,
+        });
+      } else if (this.raw) {
+        // Sections separated by a blank line read as one document
+        process.stdout.write(i === 0 ? markdown : `\n${markdown}`);
       } else {
         console.log(`\n${'─'.repeat(50)}`);
         console.log(markdown);
@@ -278,8 +721,14 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       }
     }
 
-    if (outputDir) {
-      console.log(`\n✨ All sections extracted to ${outputDir}`);
+    if (
+      outputDir &&
+      (await this.writeOutputs(outputs, {
+        force: options.force,
+        dryRun: options.dryRun,
+      }))
+    ) {
+      this.info(`\n✨ All sections extracted to ${outputDir}`);
     }
   }
 
@@ -289,30 +738,80 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
     const headings = this.parser.getHeadingsList(tree);
 
     if (headings.length === 0) {
-      console.log(`📄 ${path.basename(filePath)} has no headings`);
+      console.log(`📄 ${this.displayName(filePath)} has no headings`);
       return;
     }
 
-    console.log(`\n🌳 Document structure for ${path.basename(filePath)}:\n`);
+    this.info(`\n🌳 Document structure for ${this.displayName(filePath)}:\n`);
 
     for (const heading of headings) {
       const indent = '  '.repeat(heading.level - 1);
       const icon =
         heading.level === 1 ? '📁' : heading.level === 2 ? '📄' : '📃';
-      console.log(`${indent}${icon} ${heading.text}`);
+      console.log(
+        this.raw
+          ? `${indent}${heading.text}`
+          : `${indent}${icon} ${heading.text}`
+      );
+    }
+  }
+
+  /**
+   * Print nested sections with their line ranges
+   * @returns {Promise<Array|undefined>} The outline for --format json
+   */
+  async showOutline(filePath, format = 'text') {
+    const content = await this.readFile(filePath);
+    const tree = await this.parser.parse(content);
+    const sections = this.parser.getSectionTree(tree);
+
+    if (format === 'json') {
+      const toJSON = (section) => ({
+        text: section.text,
+        depth: section.depth,
+        slug: section.slug,
+        lines: section.lines,
+        children: section.children.map(toJSON),
+      });
+      return sections.map(toJSON);
+    }
+
+    if (sections.length === 0) {
+      console.log(`📄 ${this.displayName(filePath)} has no headings`);
+      return;
+    }
+
+    this.info(`\n🗂️  Outline of ${this.displayName(filePath)}:\n`);
+
+    const printSection = (section, level) => {
+      const indent = '  '.repeat(level);
+      console.log(
+        `${indent}${level === 0 ? '📁' : '📄'} ${section.text} (lines ${section.lines.start}-${section.lines.end})`
+      );
+      for (const child of section.children) {
+        printSection(child, level + 1);
+      }
+    };
+
+    for (const section of sections) {
+      printSection(section, 0);
     }
   }
 
+  /**
+   * Print the nodes matching a selector
+   * @returns {Promise<Array|undefined>} The nodes for --format json
+   */
   async searchNodes(filePath, selector, format = 'text') {
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const nodes = this.parser.selectAll(tree, selector);
 
     if (format === 'json') {
-      console.log(JSON.stringify(nodes, null, 2));
+      return nodes;
     } else {
-      console.log(
-        `\n🔍 Found ${nodes.length} nodes matching "${selector}" in ${path.basename(filePath)}:\n`
+      this.info(
+        `\n🔍 Found ${nodes.length} nodes matching "${selector}" in ${this.displayName(filePath)}:\n`
       );
 
       if (nodes.length === 0) {
@@ -333,18 +832,37 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
         } else if (node.type === 'link') {
           console.log(`   URL: ${node.url}`);
           if (node.title) console.log(`   Title: ${node.title}`);
+        } else if (node.type === 'table') {
+          const columns = node.children[0]?.children.length || 0;
+          console.log(`   Rows: ${node.children.length}`);
+          console.log(`   Columns: ${columns}`);
+        } else if (node.type === 'listItem' && node.checked !== null) {
+          console.log(`   Task: ${node.checked ? 'done' : 'open'}`);
+        } else if (
+          node.type === 'footnoteDefinition' ||
+          node.type === 'footnoteReference'
+        ) {
+          console.log(`   Footnote: [^${node.label || node.identifier}]`);
         }
         console.log();
       });
     }
   }
 
-  async showStats(filePath) {
+  /**
+   * Print document statistics
+   * @returns {Promise<Object|undefined>} The statistics for --format json
+   */
+  async showStats(filePath, format = 'text') {
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const stats = this.parser.getStats(tree);
 
-    console.log(`\n📊 Statistics for ${path.basename(filePath)}:\n`);
+    if (format === 'json') {
+      return stats;
+    }
+
+    this.info(`\n📊 Statistics for ${this.displayName(filePath)}:\n`);
     console.log(`📝 Word count: ${stats.wordCount.toLocaleString()}`);
     console.log(`📋 Paragraphs: ${stats.paragraphs}`);
     console.log(`📁 Headings: ${stats.headings.total}`);
@@ -362,132 +880,1109 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
     console.log(`📌 Lists: ${stats.lists}`);
     console.log(`🔗 Links: ${stats.links}`);
     console.log(`🖼️  Images: ${stats.images}`);
+
+    if (this.parser.gfm) {
+      console.log(`📐 Tables: ${stats.tables}`);
+      console.log(
+        `☑️  Task list items: ${stats.taskListItems.checked}/${stats.taskListItems.total} done`
+      );
+      console.log(`~~ Strikethrough: ${stats.strikethrough}`);
+      console.log(`📎 Footnotes: ${stats.footnotes}`);
+    }
   }
 
-  async generateTOC(filePath, maxLevel = 3) {
+  async generateTOC(filePath, maxLevel = 3, options = {}) {
+    if (options.write || options.check) {
+      await this.updateTOC(filePath, maxLevel, options);
+      return;
+    }
+
     const content = await this.readFile(filePath);
     const tree = await this.parser.parse(content);
     const toc = this.parser.generateTableOfContents(tree, maxLevel);
 
     if (!toc) {
       console.log(
-        `${MESSAGES.WARNING} No headings found in ${path.basename(filePath)} to generate TOC`
+        `${MESSAGES.WARNING} No headings found in ${this.displayName(filePath)} to generate TOC`
       );
       return;
     }
 
-    console.log(`\n📚 Table of Contents for ${path.basename(filePath)}:\n`);
+    if (this.raw) {
+      process.stdout.write(toc.endsWith('\n') ? toc : `${toc}\n`);
+      return;
+    }
+
+    console.log(`\n📚 Table of Contents for ${this.displayName(filePath)}:\n`);
     console.log(toc);
   }
 
-  async checkLinks(filePath, recursive = false, visited = new Set()) {
+  async updateTOC(filePath, maxLevel, options) {
+    const content = await this.readFile(filePath);
+    const tree = await this.parser.parse(content);
+    const found = this.parser.updateTableOfContents(tree, {
+      maxLevel,
+      heading: options.heading,
+    });
+
+    if (!found) {
+      const location = options.heading
+        ? `heading "${options.heading}"`
+        : '<!-- toc --> marker';
+      console.error(
+        `${MESSAGES.ERROR} No ${location} found in ${this.displayName(filePath)}`
+      );
+      process.exit(1);
+    }
+
+    const updated = await this.parser.stringify(tree, { source: content });
+
+    if (options.check) {
+      if (updated !== content) {
+        console.error(
+          `${MESSAGES.ERROR} Table of contents in ${this.displayName(filePath)} is out of date (run md-tree toc --write)`
+        );
+        process.exit(1);
+      }
+      console.log(
+        `✅ Table of contents in ${this.displayName(filePath)} is up to date`
+      );
+      return;
+    }
+
+    // Piped input is always echoed back, changed or not
+    if (updated === content && filePath !== STDIN) {
+      this.info(
+        `✅ Table of contents in ${this.displayName(filePath)} is already up to date`
+      );
+      return;
+    }
+
+    await this.writeOutputs([{ path: filePath, content: updated }], {
+      force: true,
+      dryRun: options.dryRun,
+    });
+  }
+
+  /**
+   * Check every unique URL of a file, optionally following local markdown
+   * links. Results are printed as they are checked unless `silent` is set.
+   * @param {string} filePath - Markdown file to check
+   * @param {boolean} recursive - Also check linked markdown files
+   * @param {Set<string>} visited - Files already checked
+   * @param {Object} options - Reporting options
+   * @param {Array<Object>} options.results - Results collected so far
+   * @param {boolean} options.silent - Do not print results
+   * @param {Object} options.rules - Severity ('error', 'warn' or 'off') of
+   *   reference and alt text problems, keyed by rule name
+   * @param {number|null} options.maxImageSize - Fail local images larger
+   *   than this many bytes
+   * @returns {Promise<Array<Object>>} One result per unique URL and file:
+   *   { file, line, column, url, status, reason }, where status is 'ok',
+   *   'failed', 'skipped' or 'warning'. Reference and alt text problems
+   *   also have a `rule`.
+   */
+  async checkLinks(
+    filePath,
+    recursive = false,
+    visited = new Set(),
+    options = {}
+  ) {
+    const {
+      results = [],
+      silent = false,
+      rules = DEFAULT_OPTIONS.rules,
+      maxImageSize = null,
+    } = options;
     const resolvedPath = path.resolve(filePath);
-    if (visited.has(resolvedPath)) return;
+    if (visited.has(resolvedPath)) return results;
     visited.add(resolvedPath);
 
-    const content = await this.readFile(resolvedPath);
+    // Links in piped input are resolved against the working directory
+    const content = await this.readFile(
+      filePath === STDIN ? STDIN : resolvedPath
+    );
     const tree = await this.parser.parse(content);
-    const links = this.parser.selectAll(tree, 'link');
-    const definitions = this.parser.selectAll(tree, 'definition');
 
-    const allUrls = [];
-    for (const link of links) {
-      allUrls.push(link.url);
+    // Report each URL at its first occurrence in the file, preferring
+    // occurrences that are not suppressed by an ignore comment
+    const positions = new Map();
+    const suppressedUrls = new Set();
+    for (const { url, start, suppressed } of this.collectLinkTargets(tree)) {
+      const knownSuppressed = suppressedUrls.has(url);
+      if (!positions.has(url) || (knownSuppressed && !suppressed)) {
+        positions.set(url, start);
+        if (suppressed) {
+          suppressedUrls.add(url);
+        } else {
+          suppressedUrls.delete(url);
+        }
+      }
     }
-    for (const definition of definitions) {
-      allUrls.push(definition.url);
+
+    const uniqueUrls = new Set(positions.keys());
+    const file = path.relative(process.cwd(), resolvedPath);
+
+    const isIgnored = (url) =>
+      suppressedUrls.has(url) || this.isIgnoredLink(url);
+
+    const report = (url, status, reason = null) => {
+      const { line, column } = positions.get(url);
+      results.push({ file, line, column, url, status, reason });
+      if (silent) return;
+      if (status === 'ok') {
+        console.log(`✅ ${url}`);
+      } else if (status === 'warning') {
+        console.log(`⚠️  ${url} (${reason})`);
+      } else if (status === 'skipped') {
+        console.log(`⏭️  ${url} (${reason} - skipped)`);
+      } else {
+        console.log(`❌ ${url} (${reason})`);
+      }
+    };
+
+    if (!silent) {
+      this.info(
+        `\n🔗 Checking ${uniqueUrls.size} unique URLs in ${this.displayName(filePath)}:`
+      );
     }
 
-    const uniqueUrls = new Set(allUrls);
+    this.checkReferences(tree, content, file, { results, silent, rules });
+    this.checkAltText(tree, file, { results, silent, rules });
 
-    console.log(
-      `\n🔗 Checking ${uniqueUrls.size} unique URLs in ${path.basename(resolvedPath)}:`
-    );
+    // Start all external checks up front so they run concurrently, then
+    // report them in document order
+    const externalChecks = new Map();
+    for (const url of uniqueUrls) {
+      if (/^https?:\/\//i.test(url) && !isIgnored(url)) {
+        externalChecks.set(url, this.linkChecker.check(url));
+      }
+    }
 
     for (const url of uniqueUrls) {
-      if (!url || url.startsWith('#')) {
+      if (!url) {
+        continue;
+      }
+
+      if (isIgnored(url)) {
+        report(url, 'skipped', 'ignored');
+        continue;
+      }
+
+      // In-page anchors must match a heading (or HTML id) in this file
+      if (url.startsWith('#')) {
+        const problem = this.findAnchorProblem(
+          url.slice(1),
+          this.collectAnchors(tree),
+          this.displayName(filePath)
+        );
+        report(url, problem ? 'failed' : 'ok', problem);
         continue;
       }
 
       // Show email links but mark as skipped
       if (url.startsWith('mailto:') || PATTERNS.EMAIL.test(url)) {
-        console.log(`⏭️  ${url} (email - skipped)`);
+        report(url, 'skipped', 'email');
         continue;
       }
 
-      if (/^https?:\/\//i.test(url)) {
-        try {
-          const res = await globalThis.fetch(url, { method: 'HEAD' });
-          if (res.ok) {
-            console.log(`✅ ${url}`);
-          } else {
-            console.log(`❌ ${url} (${res.status})`);
-          }
-        } catch (err) {
-          console.log(`❌ ${url} (${err.message})`);
-        }
+      if (url.startsWith('data:')) {
+        report(url, 'skipped', 'data URI');
+        continue;
+      }
+
+      // Other schemes (tel:, ftp:, ...), protocol-relative and root-relative
+      // links do not point to a file next to this one
+      if (!externalChecks.has(url) && !isRelativeLink(url)) {
+        const scheme = /^([a-z][a-z\d+.-]*):/i.exec(url)?.[1];
+        report(
+          url,
+          'skipped',
+          scheme ? `${scheme.toLowerCase()} link` : 'not a relative path'
+        );
+        continue;
+      }
+
+      if (externalChecks.has(url)) {
+        const { ok, reason } = await externalChecks.get(url);
+        report(url, ok ? 'ok' : 'failed', reason);
       } else {
+        const [pathPart, fragment] = url.split('#');
         const target = path.resolve(
           path.dirname(resolvedPath),
-          url.split('#')[0]
+          decodePath(pathPart.split('?')[0])
         );
+        let stats;
         try {
-          await fs.access(target);
-          console.log(`✅ ${url}`);
-          if (recursive && /\.md$/i.test(target)) {
-            await this.checkLinks(target, true, visited);
-          }
+          stats = await fs.stat(target);
         } catch {
-          console.log(`❌ ${url} (file not found)`);
+          report(url, 'failed', 'file not found');
+          continue;
+        }
+
+        if (
+          maxImageSize !== null &&
+          PATTERNS.IMAGE_FILE.test(target) &&
+          stats.size > maxImageSize
+        ) {
+          report(
+            url,
+            'failed',
+            `image is ${formatBytes(stats.size)}, larger than ${formatBytes(maxImageSize)}`
+          );
+          continue;
+        }
+
+        // Cross-file anchors are resolved against the target's headings
+        const problem =
+          fragment && /\.md$/i.test(target)
+            ? this.findAnchorProblem(
+                fragment,
+                await this.getFileAnchors(target),
+                path.basename(target)
+              )
+            : null;
+        report(url, problem ? 'failed' : 'ok', problem);
+
+        if (recursive && /\.md$/i.test(target)) {
+          await this.checkLinks(target, true, visited, {
+            ...options,
+            results,
+          });
         }
       }
     }
+
+    return results;
   }
 
-  parseArgs() {
-    const args = process.argv.slice(2);
+  /**
+   * Report undefined references, duplicate definitions and unused
+   * definitions with the severity configured for their rule
+   * @param {Object} tree - The AST tree of the document
+   * @param {string} content - The markdown the tree was parsed from
+   * @param {string} file - File name used in results
+   * @param {Object} options - Reporting options (results, silent, rules)
+   */
+  checkReferences(tree, content, file, { results, silent, rules }) {
+    for (const problem of this.parser.findReferenceProblems(tree, content)) {
+      const { type, label, line, column } = problem;
+      if (rules[type] === 'off') continue;
+      const status = rules[type] === 'warn' ? 'warning' : 'failed';
+      const reason = {
+        'undefined-reference': 'undefined reference',
+        'unused-definition': 'unused definition',
+        'duplicate-definition': `duplicate definition, first defined on line ${problem.firstLine}`,
+      }[type];
+      const url = `[${label}]`;
+
+      results.push({ file, line, column, url, status, reason, rule: type });
+      if (!silent) {
+        console.log(
+          `${status === 'warning' ? '⚠️ ' : '❌'} ${url} (line ${line}: ${reason})`
+        );
+      }
+    }
+  }
 
-    if (args.length === 0) {
-      return { command: 'help', args: [], options: {} };
+  /**
+   * Report images without alt text: markdown images with an empty alt and
+   * HTML `<img>` tags without an `alt` attribute
+   * @param {Object} tree - The AST tree of the document
+   * @param {string} file - File name used in results
+   * @param {Object} options - Reporting options (results, silent, rules)
+   */
+  checkAltText(tree, file, { results, silent, rules }) {
+    const severity = rules['missing-alt-text'];
+    if (severity === 'off') return;
+
+    const missing = [];
+    this.parser.transform(tree, (node) => {
+      if (node.type === 'image' && !node.alt?.trim()) {
+        missing.push({ url: node.url, start: node.position.start });
+      } else if (node.type === 'imageReference' && !node.alt?.trim()) {
+        missing.push({ url: `[${node.label}]`, start: node.position.start });
+      } else if (node.type === 'html') {
+        // Tags inside comments are matched as part of the comment
+        for (const tag of node.value.matchAll(PATTERNS.HTML_TOKEN)) {
+          const attributes = tag[3] ?? '';
+          if (
+            tag[2]?.toLowerCase() === 'img' &&
+            !/\balt\s*=/i.test(attributes)
+          ) {
+            const src = /\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(attributes);
+            missing.push({
+              url: src ? (src[1] ?? src[2]) : '<img>',
+              start: pointInNode(node, tag.index),
+            });
+          }
+        }
+      }
+    });
+
+    const status = severity === 'warn' ? 'warning' : 'failed';
+    for (const { url, start } of missing) {
+      const { line, column } = start;
+      const reason = 'missing alt text';
+      results.push({
+        file,
+        line,
+        column,
+        url,
+        status,
+        reason,
+        rule: 'missing-alt-text',
+      });
+      if (!silent) {
+        console.log(
+          `${status === 'warning' ? '⚠️ ' : '❌'} ${url} (line ${line}: ${reason})`
+        );
+      }
     }
+  }
 
-    const command = args[0];
-    const options = {
-      output: null,
-      level: 2,
-      format: 'text',
-      maxLevel: 3,
-      recursive: false,
+  /**
+   * Collect the URLs check-links verifies, in document order: links, images,
+   * definitions and `src`/`href` attributes in raw HTML. Targets after
+   * `<!-- md-tree-ignore-next-link -->`, or between `<!-- md-tree-ignore-start
+   * -->` and `<!-- md-tree-ignore-end -->`, are marked as suppressed.
+   * @param {Object} tree - The AST tree of the document
+   * @returns {Array<{url: string, start: Object, suppressed: boolean}>}
+   *   Targets with the position where they start
+   */
+  collectLinkTargets(tree) {
+    const targets = [];
+    let ignoreNext = false;
+    let ignoreBlock = false;
+
+    const add = (url, start) => {
+      targets.push({ url, start, suppressed: ignoreNext || ignoreBlock });
+      ignoreNext = false;
     };
 
-    // Parse flags
-    const filteredArgs = [];
-    for (let i = 0; i < args.length; i++) {
-      const arg = args[i];
-      if (arg === '--output' || arg === '-o') {
-        options.output = args[i + 1];
-        i++; // skip next arg
-      } else if (arg === '--level' || arg === '-l') {
-        options.level = Number.parseInt(args[i + 1], 10) || 2;
-        i++; // skip next arg
-      } else if (arg === '--format' || arg === '-f') {
-        options.format = args[i + 1] || 'text';
-        i++; // skip next arg
-      } else if (arg === '--max-level') {
-        options.maxLevel = Number.parseInt(args[i + 1], 10) || 3;
-        i++; // skip next arg
-      } else if (arg === '--recursive' || arg === '-r') {
-        options.recursive = true;
-      } else if (!arg.startsWith('-')) {
-        filteredArgs.push(arg);
+    this.parser.transform(tree, (node) => {
+      switch (node.type) {
+        case 'link':
+        case 'image':
+        case 'definition':
+          add(node.url, node.position.start);
+          break;
+        // Checked through their definition, but they still consume an
+        // ignore comment so it doesn't leak to the following link
+        case 'linkReference':
+        case 'imageReference':
+          ignoreNext = false;
+          break;
+        case 'html':
+          for (const match of node.value.matchAll(PATTERNS.HTML_TOKEN)) {
+            const [, directive, , attributes] = match;
+            if (directive === 'next-link') {
+              ignoreNext = true;
+            } else if (directive) {
+              ignoreBlock = directive === 'start';
+            } else if (attributes) {
+              const offset = match.index + match[0].indexOf(attributes);
+              for (const attribute of attributes.matchAll(
+                PATTERNS.HTML_URL_ATTRIBUTE
+              )) {
+                add(
+                  attribute[1] ?? attribute[2],
+                  pointInNode(node, offset + attribute.index)
+                );
+              }
+            }
+          }
+          break;
       }
-    }
+    });
 
-    return { command, args: filteredArgs, options };
+    return targets;
   }
 
-  // Command handlers
-  async handleVersionCommand() {
+  /**
+   * Print a check-links report and fail the process on broken links
+   * @param {string[]} filePaths - Markdown files to check
+   * @param {Object} options - CLI options (recursive, format, warnOnly,
+   *   rules, maxImageSize)
+   */
+  async reportLinks(filePaths, options) {
+    const { format = 'text', recursive = false, warnOnly = false } = options;
+    if (!LINK_REPORT_FORMATS.includes(format)) {
+      console.error(
+        `${MESSAGES.ERROR} Unknown report format "${format}" (expected one of: ${LINK_REPORT_FORMATS.join(', ')})`
+      );
+      process.exit(1);
+    }
+
+    // Files reached recursively from an earlier file are only checked once
+    const visited = new Set();
+    const results = [];
+    for (const filePath of filePaths) {
+      await this.checkLinks(filePath, recursive, visited, {
+        results,
+        silent: format !== 'text',
+        rules: options.rules,
+        maxImageSize: options.maxImageSize,
+      });
+    }
+    await this.linkChecker.saveCache();
+    const summary = summarizeLinkResults(results);
+
+    if (format === 'json') {
+      console.log(formatJsonReport(results));
+    } else if (format === 'junit') {
+      console.log(formatJUnitReport(results));
+    } else if (format === 'sarif') {
+      const version = await this.getVersion();
+      console.log(formatSarifReport(results, { version, warnOnly }));
+    } else {
+      if (summary.failed > 0) {
+        console.log(`\n❌ ${summary.failed} of ${summary.total} links failed`);
+      }
+      if (summary.warning > 0) {
+        console.log(
+          `⚠️  ${summary.warning} warning${summary.warning === 1 ? '' : 's'}`
+        );
+      }
+    }
+
+    if (summary.failed > 0 && !warnOnly) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Collect the anchors a document exposes: heading slugs plus `id` and
+   * `name` attributes of raw HTML elements
+   * @param {Object} tree - The AST tree of the document
+   * @returns {Set<string>} Available anchors
+   */
+  collectAnchors(tree) {
+    const anchors = new Set(
+      this.parser.getHeadingsList(tree).map((heading) => heading.slug)
+    );
+    for (const node of this.parser.selectAll(tree, 'html')) {
+      for (const match of node.value.matchAll(
+        /\b(?:id|name)\s*=\s*["']([^"']+)["']/gi
+      )) {
+        anchors.add(match[1]);
+      }
+    }
+    return anchors;
+  }
+
+  /**
+   * Get the anchors of a markdown file, parsing each file only once
+   * @param {string} filePath - Absolute path of the markdown file
+   * @returns {Promise<Set<string>>} Available anchors
+   */
+  async getFileAnchors(filePath) {
+    if (!this.anchorCache.has(filePath)) {
+      const content = await fs.readFile(filePath, 'utf-8');
+      const tree = await this.parser.parse(content);
+      this.anchorCache.set(filePath, this.collectAnchors(tree));
+    }
+    return this.anchorCache.get(filePath);
+  }
+
+  /**
+   * Check a URL fragment against the anchors of a document
+   * @param {string} fragment - Fragment without the leading "#"
+   * @param {Set<string>} anchors - Anchors available in the target document
+   * @param {string} fileName - Target file name, for the message
+   * @returns {string|null} Failure reason, or null if the anchor exists
+   */
+  findAnchorProblem(fragment, anchors, fileName) {
+    let anchor = fragment;
+    try {
+      anchor = decodeURIComponent(fragment);
+    } catch {
+      // Keep malformed escapes as written
+    }
+
+    // An empty fragment points at the top of the page
+    if (!anchor || anchors.has(anchor) || anchors.has(anchor.toLowerCase())) {
+      return null;
+    }
+
+    const suggestion = findClosestSlug(anchor, anchors);
+    return `anchor not found in ${fileName}${suggestion ? `, did you mean #${suggestion}?` : ''}`;
+  }
+
+  /**
+   * Resolve the include directives of a document. Like other outputs, an
+   * existing output file with different content is only replaced with --force.
+   * @param {string} filePath - Document with include directives
+   * @param {string|null} outputFile - Where to write the result (stdout if
+   *   null)
+   * @param {Object} options - Options
+   * @param {boolean} options.check - Only verify that the output file is up
+   *   to date
+   * @param {boolean} options.force - Overwrite an existing output file
+   * @param {boolean} options.dryRun - Show a diff instead of writing
+   */
+  async buildDocument(filePath, outputFile = null, options = {}) {
+    const content = await this.readFile(filePath);
+    const tree = await this.parser.parse(content);
+    const baseDir =
+      filePath === STDIN ? process.cwd() : path.dirname(path.resolve(filePath));
+    await this.parser.resolveIncludes(tree, baseDir, {
+      filePath: filePath === STDIN ? null : filePath,
+    });
+    const built = await this.parser.stringify(tree, { source: content });
+
+    if (options.check) {
+      if (!outputFile) {
+        console.error(`${MESSAGES.ERROR} build --check needs -o <output-file>`);
+        process.exit(1);
+      }
+      const current = await fs.readFile(outputFile, 'utf-8').catch(() => null);
+      if (current !== built) {
+        console.error(
+          `${MESSAGES.ERROR} ${outputFile} is out of date (run md-tree build ${filePath} -o ${outputFile})`
+        );
+        process.exit(1);
+      }
+      console.log(`✅ ${outputFile} is up to date`);
+      return;
+    }
+
+    if (!outputFile) {
+      process.stdout.write(built);
+      return;
+    }
+    await this.writeOutputs([{ path: outputFile, content: built }], {
+      force: options.force,
+      dryRun: options.dryRun,
+    });
+  }
+
+  async showFrontmatter(filePath, key = null, value = null, options = {}) {
+    const { format = 'text', dryRun = false } = options;
+    const content = await this.readFile(filePath);
+    const tree = await this.parser.parse(content);
+    const data = this.parser.getFrontmatter(tree);
+
+    if (value !== null) {
+      await this.setFrontmatterKey(filePath, content, tree, key, value, dryRun);
+      return;
+    }
+
+    if (!data) {
+      console.log(
+        `${MESSAGES.WARNING} No frontmatter found in ${this.displayName(filePath)}`
+      );
+      return;
+    }
+
+    const result = key ? this.getValueAtPath(data, key) : data;
+    if (result === undefined) {
+      console.error(
+        `${MESSAGES.ERROR} Key "${key}" not found in frontmatter of ${this.displayName(filePath)}`
+      );
+      process.exit(1);
+    }
+
+    if (format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result !== null && typeof result === 'object') {
+      console.log(YAML.stringify(result).trimEnd());
+    } else {
+      console.log(String(result));
+    }
+  }
+
+  async setFrontmatterKey(filePath, content, tree, key, value, dryRun = false) {
+    // Values are read as YAML so numbers, booleans and lists keep their type
+    this.parser.setFrontmatterValue(tree, key.split('.'), YAML.parse(value));
+
+    // Only the frontmatter block is re-serialized, the rest is left untouched
+    const updated = await this.parser.stringify(tree, { source: content });
+    await this.writeOutputs([{ path: filePath, content: updated }], {
+      force: true,
+      dryRun,
+    });
+  }
+
+  /**
+   * Apply a section mutation to a file and write it back in place
+   * @param {string} filePath - Markdown file to edit
+   * @param {function} edit - Receives the tree; returns null if a section was not found
+   * @param {string} label - Quoted section address(es), for error messages
+   * @param {boolean} dryRun - Print a diff instead of writing the file
+   */
+  async editFile(filePath, edit, label, dryRun = false) {
+    const content = await this.readFile(filePath);
+    const tree = await this.parser.parse(content);
+
+    if ((await edit(tree)) === null) {
+      console.error(
+        `${MESSAGES.ERROR} Section ${label} not found in ${this.displayName(filePath)}`
+      );
+      process.exit(1);
+    }
+
+    // Splice changes into the original text so untouched content stays identical
+    const updated = await this.parser.stringify(tree, { source: content });
+
+    if (dryRun) {
+      const patch = createTwoFilesPatch(filePath, filePath, content, updated);
+      console.log(patch);
+      return;
+    }
+
+    await this.writeFile(filePath, updated);
+  }
+
+  async readContentTree(contentPath) {
+    return await this.parser.parse(await this.readFile(contentPath));
+  }
+
+  async replaceSection(filePath, address, contentPath, options = {}) {
+    const replacement = await this.readContentTree(contentPath);
+    await this.editFile(
+      filePath,
+      (tree) =>
+        this.parser.replaceSection(tree, address, replacement, {
+          keepSubsections: options.keepSubsections,
+        }),
+      `"${address}"`,
+      options.dryRun
+    );
+  }
+
+  async insertSection(filePath, address, contentPath, options = {}) {
+    const content = await this.readContentTree(contentPath);
+    await this.editFile(
+      filePath,
+      (tree) => {
+        if (options.append) {
+          return this.parser.appendToSection(tree, address, content);
+        }
+        return options.before
+          ? this.parser.insertSectionBefore(tree, address, content)
+          : this.parser.insertSectionAfter(tree, address, content);
+      },
+      `"${address}"`,
+      options.dryRun
+    );
+  }
+
+  async removeSection(filePath, address, options = {}) {
+    await this.editFile(
+      filePath,
+      (tree) => this.parser.removeSection(tree, address),
+      `"${address}"`,
+      options.dryRun
+    );
+  }
+
+  async moveSection(filePath, address, targetAddress, options = {}) {
+    await this.editFile(
+      filePath,
+      (tree) =>
+        this.parser.moveSection(tree, address, targetAddress, {
+          position: options.before ? 'before' : 'after',
+        }),
+      `"${address}" or "${targetAddress}"`,
+      options.dryRun
+    );
+  }
+
+  /**
+   * Print the effective configuration: the config file merged with the
+   * defaults and any flags given on the command line
+   * @param {Object} options - Effective options
+   */
+  showConfig(options) {
+    const config = {};
+    for (const [keyPath, option] of Object.entries(CONFIG_OPTIONS)) {
+      this.setValueAtPath(config, keyPath, options[option]);
+    }
+    // Plugins imported by a JavaScript config can't be printed as data
+    const describe = (value) =>
+      typeof value === 'function' ? `[Function ${value.name}]` : value;
+    config.plugins = config.plugins.map((entry) =>
+      Array.isArray(entry) ? entry.map(describe) : describe(entry)
+    );
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify(config, null, 2));
+      return;
+    }
+    this.info(`⚙️  Config file: ${this.configFile ?? 'none'}\n`);
+    console.log(YAML.stringify(config).trimEnd());
+  }
+
+  /**
+   * Read a value from an object using a dotted key path (e.g. "author.name")
+   * @param {Object} data - Object to read from
+   * @param {string} keyPath - Dotted key path
+   * @returns {*} The value, or undefined if missing
+   */
+  getValueAtPath(data, keyPath) {
+    return keyPath
+      .split('.')
+      .reduce(
+        (current, key) =>
+          current !== null && typeof current === 'object'
+            ? current[key]
+            : undefined,
+        data
+      );
+  }
+
+  /**
+   * Set a value on an object using a dotted key path, creating objects as needed
+   * @param {Object} data - Object to modify
+   * @param {string} keyPath - Dotted key path
+   * @param {*} value - Value to set
+   */
+  setValueAtPath(data, keyPath, value) {
+    const keys = keyPath.split('.');
+    let current = data;
+    for (const key of keys.slice(0, -1)) {
+      if (current[key] === null || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Expand file arguments: globs such as `docs/**\/*.md` and directories
+   * become the markdown files they match, skipping files ignored by
+   * .gitignore. Plain file paths are kept as given.
+   * @param {string[]} patterns - File paths, directories and globs
+   * @returns {Promise<string[]>} Files in argument order, without duplicates
+   */
+  async resolveFiles(patterns) {
+    const files = [];
+    for (const pattern of patterns) {
+      let glob = null;
+      if (isDynamicPattern(pattern)) {
+        glob = pattern;
+      } else if (await this.isDirectory(pattern)) {
+        glob = `${pattern.replace(/[\\/]+$/, '')}/**/*.{md,markdown}`;
+      }
+
+      if (glob === null) {
+        files.push(pattern);
+        continue;
+      }
+
+      const matches = await globby(glob, { gitignore: true });
+      if (matches.length === 0) {
+        console.error(`${MESSAGES.ERROR} No markdown files match ${pattern}`);
+        process.exit(1);
+      }
+      files.push(...matches.sort());
+    }
+    return [...new Set(files)];
+  }
+
+  async isDirectory(filePath) {
+    try {
+      return (await fs.stat(filePath)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run a read-only command on every file argument. With --format json, the
+   * command returns its data instead of printing it: a single file prints
+   * that data as before, several files (or a glob or directory) print one
+   * combined array of { file, result } objects.
+   * @param {string[]} patterns - File paths, directories and globs
+   * @param {Object} options - CLI options
+   * @param {function(string): Promise<*>} run - Runs the command on a file
+   * @param {Object} settings - How the command reports
+   * @param {boolean} settings.json - Whether the command has JSON output;
+   *   commands without it always print text, whatever --format says
+   */
+  async forEachFile(patterns, options, run, { json: hasJson = true } = {}) {
+    const files = await this.resolveFiles(patterns);
+    // Globs and directories may match any number of files, so they always
+    // combine, even when only one file matches today
+    let combined = files.length > 1;
+    for (const pattern of patterns) {
+      combined ||=
+        isDynamicPattern(pattern) || (await this.isDirectory(pattern));
+    }
+    const json = hasJson && options.format === 'json';
+
+    const results = [];
+    for (const file of files) {
+      if (combined && !json) {
+        this.info(`\n📄 ${file}`);
+      }
+      results.push({ file, result: await run(file) });
+    }
+
+    if (json) {
+      console.log(
+        JSON.stringify(combined ? results : results[0].result, null, 2)
+      );
+    }
+  }
+
+  /**
+   * Parse the command line. Only flags that were given are returned, so they
+   * can be layered over the defaults and the config file.
+   * @returns {{command: string, args: string[], flags: Object}}
+   */
+  parseArgs() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0) {
+      return { command: 'help', args: [], flags: {} };
+    }
+
+    const command = args[0];
+    const flags = {};
+
+    // Parse flags
+    const filteredArgs = [];
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === '--output' || arg === '-o') {
+        flags.output = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--level' || arg === '-l') {
+        flags.level = Number.parseInt(args[i + 1], 10) || DEFAULT_OPTIONS.level;
+        i++; // skip next arg
+      } else if (arg === '--format' || arg === '-f') {
+        flags.format = args[i + 1] || 'text';
+        i++; // skip next arg
+      } else if (arg === '--max-level') {
+        flags.maxLevel =
+          Number.parseInt(args[i + 1], 10) || DEFAULT_OPTIONS.maxLevel;
+        i++; // skip next arg
+      } else if (arg === '--recursive' || arg === '-r') {
+        flags.recursive = true;
+      } else if (arg === '--naming') {
+        flags.naming = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--gfm') {
+        flags.gfm = true;
+      } else if (arg === '--slug') {
+        flags.slug = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--config' || arg === '-c') {
+        flags.config = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--plugin') {
+        (flags.plugins ??= []).push(args[i + 1]);
+        i++; // skip next arg
+      } else if (arg === '--print') {
+        flags.print = true;
+      } else if (arg === '--dry-run') {
+        flags.dryRun = true;
+      } else if (arg === '--force') {
+        flags.force = true;
+      } else if (arg === '--clean') {
+        flags.clean = true;
+      } else if (arg === '--before') {
+        flags.before = true;
+      } else if (arg === '--append') {
+        flags.append = true;
+      } else if (arg === '--keep-subsections') {
+        flags.keepSubsections = true;
+      } else if (arg === '--write') {
+        flags.write = true;
+      } else if (arg === '--check') {
+        flags.check = true;
+      } else if (arg === '--concurrency') {
+        flags.concurrency =
+          Number.parseInt(args[i + 1], 10) || DEFAULT_OPTIONS.concurrency;
+        i++; // skip next arg
+      } else if (arg === '--timeout') {
+        flags.timeout =
+          Number.parseInt(args[i + 1], 10) || DEFAULT_OPTIONS.timeout;
+        i++; // skip next arg
+      } else if (arg === '--retries') {
+        const retries = Number.parseInt(args[i + 1], 10);
+        flags.retries = Number.isNaN(retries)
+          ? DEFAULT_OPTIONS.retries
+          : retries;
+        i++; // skip next arg
+      } else if (arg === '--rate-limit') {
+        flags.rateLimit = Number.parseFloat(args[i + 1]) || 0;
+        i++; // skip next arg
+      } else if (arg === '--cache') {
+        flags.cache = true;
+      } else if (arg === '--cache-file') {
+        flags.cacheFile = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--cache-ttl') {
+        const ttl = Number.parseInt(args[i + 1], 10);
+        flags.cacheTtl = Number.isNaN(ttl) ? DEFAULT_OPTIONS.cacheTtl : ttl;
+        i++; // skip next arg
+      } else if (arg === '--ignore') {
+        (flags.ignore ??= []).push(args[i + 1]);
+        i++; // skip next arg
+      } else if (arg === '--allow') {
+        (flags.allow ??= []).push(args[i + 1]);
+        i++; // skip next arg
+      } else if (arg === '--check-alt') {
+        flags.rules = { 'missing-alt-text': 'error' };
+      } else if (arg === '--max-image-size') {
+        flags.maxImageSize = args[i + 1];
+        i++; // skip next arg
+      } else if (arg === '--warn-only') {
+        flags.warnOnly = true;
+      } else if (arg === '--heading') {
+        flags.heading = args[i + 1] || null;
+        i++; // skip next arg
+      } else if (arg === '--raw' || arg === '--quiet' || arg === '-q') {
+        flags.raw = true;
+      } else if (arg === STDIN || !arg.startsWith('-')) {
+        filteredArgs.push(arg);
+      }
+    }
+
+    return { command, args: filteredArgs, flags };
+  }
+
+  /**
+   * Build the effective options: defaults, then the config file, then CLI
+   * flags. Link patterns from the config and the command line are combined.
+   * @param {Object} config - Parsed config file
+   * @param {Object} flags - Flags from parseArgs()
+   * @param {string|null} configFile - Path of the config file, for messages
+   * @returns {Object} Options
+   */
+  resolveOptions(config, flags, configFile = null) {
+    const options = JSON.parse(JSON.stringify(DEFAULT_OPTIONS));
+    const source = configFile ?? 'config';
+
+    this.warnUnknownConfigKeys(config, source);
+    for (const [keyPath, option] of Object.entries(CONFIG_OPTIONS)) {
+      let value = this.getValueAtPath(config, keyPath);
+      if (value === undefined) continue;
+      // Plugin paths in a config file are relative to the file
+      if (option === 'plugins' && configFile) {
+        value = resolvePluginPaths(value, path.dirname(configFile));
+      }
+      this.setOption(options, option, value, `${keyPath} in ${source}`);
+    }
+
+    for (const [option, value] of Object.entries(flags)) {
+      this.setOption(options, option, value, `--${option}`);
+    }
+
+    // A cache file implies --cache
+    options.cache ||= options.cacheFile !== null;
+    if (options.cache) {
+      options.cacheFile ??= DEFAULT_LINK_CACHE;
+    }
+    return options;
+  }
+
+  /**
+   * Set one option, validating values that come from a config file or flag
+   * @param {Object} options - Options being built
+   * @param {string} option - Option name
+   * @param {*} value - New value
+   * @param {string} source - Where the value came from, for error messages
+   */
+  setOption(options, option, value, source) {
+    const fail = (message) => {
+      console.error(`${MESSAGES.ERROR} ${message} (${source})`);
+      process.exit(1);
+    };
+
+    switch (option) {
+      case 'slug':
+        if (!SLUG_DIALECTS.includes(value)) {
+          fail(
+            `Unknown slug dialect "${value}" (expected one of: ${SLUG_DIALECTS.join(', ')})`
+          );
+        }
+        options.slug = value;
+        break;
+      case 'naming':
+        if (!NAMING_STRATEGIES.includes(value)) {
+          fail(
+            `Unknown naming strategy "${value}" (expected one of: ${NAMING_STRATEGIES.join(', ')})`
+          );
+        }
+        options.naming = value;
+        break;
+      case 'ignore':
+      case 'allow':
+      case 'plugins':
+        // Config values may be a single entry or a list
+        options[option] = options[option].concat(value);
+        break;
+      case 'rules':
+        if (value === null || typeof value !== 'object') {
+          fail('Rules must map rule names to error, warn or off');
+        }
+        for (const [rule, severity] of Object.entries(value)) {
+          if (!(rule in DEFAULT_OPTIONS.rules)) {
+            fail(
+              `Unknown rule "${rule}" (expected one of: ${Object.keys(DEFAULT_OPTIONS.rules).join(', ')})`
+            );
+          }
+          if (!RULE_SEVERITIES.includes(severity)) {
+            fail(
+              `Invalid severity "${severity}" for ${rule} (expected one of: ${RULE_SEVERITIES.join(', ')})`
+            );
+          }
+          options.rules[rule] = severity;
+        }
+        break;
+      case 'stringify':
+        if (value === null || typeof value !== 'object') {
+          fail('Stringify options must be an object');
+        }
+        options.stringify = { ...options.stringify, ...value };
+        break;
+      case 'maxImageSize': {
+        const size =
+          value === null || typeof value === 'number'
+            ? value
+            : parseSize(String(value));
+        if (size === null && value !== null) {
+          fail(`Invalid size "${value}" (expected e.g. 500kb or 2mb)`);
+        }
+        options.maxImageSize = size;
+        break;
+      }
+      default:
+        options[option] = value;
+    }
+  }
+
+  /**
+   * Warn about config keys md-tree does not know, which are usually typos
+   * @param {Object} config - Parsed config file
+   * @param {string} source - Config file path, for messages
+   */
+  warnUnknownConfigKeys(config, source) {
+    const known = Object.keys(CONFIG_OPTIONS);
+    for (const [key, value] of Object.entries(config)) {
+      if (key === 'checkLinks' && value !== null && typeof value === 'object') {
+        for (const nested of Object.keys(value)) {
+          if (!known.includes(`checkLinks.${nested}`)) {
+            console.error(
+              `${MESSAGES.WARNING}: Unknown config key "checkLinks.${nested}" in ${source}`
+            );
+          }
+        }
+      } else if (!known.includes(key)) {
+        console.error(
+          `${MESSAGES.WARNING}: Unknown config key "${key}" in ${source}`
+        );
+      }
+    }
+  }
+
+  // Command handlers
+  async handleVersionCommand() {
     const version = await this.getVersion();
     console.log(`md-tree v${version}`);
   }
@@ -501,7 +1996,9 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       console.error(MESSAGES.USAGE_LIST);
       process.exit(1);
     }
-    await this.listHeadings(args[1], options.format);
+    await this.forEachFile(args.slice(1), options, (file) =>
+      this.listHeadings(file, options.format)
+    );
   }
 
   async handleExtractCommand(args, options) {
@@ -509,7 +2006,7 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       console.error(MESSAGES.USAGE_EXTRACT);
       process.exit(1);
     }
-    await this.extractSection(args[1], args[2], options.output);
+    await this.extractSection(args[1], args[2], options.output, options);
   }
 
   async handleExtractAllCommand(args, options) {
@@ -518,31 +2015,70 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       process.exit(1);
     }
     const level = args[2] ? Number.parseInt(args[2], 10) : options.level;
-    await this.extractAllSections(args[1], level, options.output);
+    await this.extractAllSections(args[1], level, options.output, options);
   }
 
-  async handleExplodeCommand(args) {
+  async handleExplodeCommand(args, options) {
     if (args.length < 3) {
       console.error(MESSAGES.USAGE_EXPLODE);
       process.exit(1);
     }
-    await this.explodeDocument(args[1], args[2]);
+    await this.explodeDocument(args[1], args[2], {
+      level: options.level,
+      recursive: options.recursive,
+      maxLevel: options.maxLevel,
+      naming: options.naming,
+      force: options.force,
+      clean: options.clean,
+      dryRun: options.dryRun,
+    });
   }
 
-  async handleAssembleCommand(args) {
+  async handleAssembleCommand(args, options) {
     if (args.length < 3) {
       console.error(MESSAGES.USAGE_ASSEMBLE);
       process.exit(1);
     }
-    await this.assembleDocument(args[1], args[2]);
+    await this.assembleDocument(args[1], args[2], {
+      force: options.force,
+      dryRun: options.dryRun,
+    });
+  }
+
+  async handleRoundtripCheckCommand(args, options) {
+    if (args.length < 2) {
+      console.error(MESSAGES.USAGE_ROUNDTRIP_CHECK);
+      process.exit(1);
+    }
+    await this.roundtripCheck(args[1], {
+      level: options.level,
+      recursive: options.recursive,
+      maxLevel: options.maxLevel,
+      naming: options.naming,
+    });
   }
 
-  async handleTreeCommand(args) {
+  async handleTreeCommand(args, options) {
     if (args.length < 2) {
       console.error(MESSAGES.USAGE_TREE);
       process.exit(1);
     }
-    await this.showTree(args[1]);
+    await this.forEachFile(
+      args.slice(1),
+      options,
+      (file) => this.showTree(file),
+      { json: false }
+    );
+  }
+
+  async handleOutlineCommand(args, options) {
+    if (args.length < 2) {
+      console.error(MESSAGES.USAGE_OUTLINE);
+      process.exit(1);
+    }
+    await this.forEachFile(args.slice(1), options, (file) =>
+      this.showOutline(file, options.format)
+    );
   }
 
   async handleSearchCommand(args, options) {
@@ -550,15 +2086,21 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       console.error(MESSAGES.USAGE_SEARCH);
       process.exit(1);
     }
-    await this.searchNodes(args[1], args[2], options.format);
+    // The selector comes last: search <file...> <selector>
+    const selector = args[args.length - 1];
+    await this.forEachFile(args.slice(1, -1), options, (file) =>
+      this.searchNodes(file, selector, options.format)
+    );
   }
 
-  async handleStatsCommand(args) {
+  async handleStatsCommand(args, options) {
     if (args.length < 2) {
       console.error(MESSAGES.USAGE_STATS);
       process.exit(1);
     }
-    await this.showStats(args[1]);
+    await this.forEachFile(args.slice(1), options, (file) =>
+      this.showStats(file, options.format)
+    );
   }
 
   async handleTocCommand(args, options) {
@@ -566,7 +2108,20 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       console.error(MESSAGES.USAGE_TOC);
       process.exit(1);
     }
-    await this.generateTOC(args[1], options.maxLevel);
+    await this.forEachFile(
+      args.slice(1),
+      options,
+      (file) => this.generateTOC(file, options.maxLevel, options),
+      { json: false }
+    );
+  }
+
+  async handleBuildCommand(args, options) {
+    if (args.length < 2) {
+      console.error(MESSAGES.USAGE_BUILD);
+      process.exit(1);
+    }
+    await this.buildDocument(args[1], options.output, options);
   }
 
   async handleCheckLinksCommand(args, options) {
@@ -574,11 +2129,105 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       console.error(MESSAGES.USAGE_CHECK_LINKS);
       process.exit(1);
     }
-    await this.checkLinks(args[1], options.recursive);
+    this.isIgnoredLink = createLinkFilter({
+      ignore: options.ignore,
+      allow: options.allow,
+    });
+    await this.reportLinks(await this.resolveFiles(args.slice(1)), options);
+  }
+
+  async handleReplaceCommand(args, options) {
+    if (args.length < 4) {
+      console.error(MESSAGES.USAGE_REPLACE);
+      process.exit(1);
+    }
+    await this.replaceSection(args[1], args[2], args[3], options);
+  }
+
+  async handleInsertCommand(args, options) {
+    if (args.length < 4) {
+      console.error(MESSAGES.USAGE_INSERT);
+      process.exit(1);
+    }
+    await this.insertSection(args[1], args[2], args[3], options);
+  }
+
+  async handleRemoveCommand(args, options) {
+    if (args.length < 3) {
+      console.error(MESSAGES.USAGE_REMOVE);
+      process.exit(1);
+    }
+    await this.removeSection(args[1], args[2], options);
+  }
+
+  async handleMoveCommand(args, options) {
+    if (args.length < 4) {
+      console.error(MESSAGES.USAGE_MOVE);
+      process.exit(1);
+    }
+    await this.moveSection(args[1], args[2], args[3], options);
+  }
+
+  async handleConfigCommand(args, options) {
+    if (!options.print) {
+      console.error(MESSAGES.USAGE_CONFIG);
+      process.exit(1);
+    }
+    this.showConfig(options);
+  }
+
+  async handleFrontmatterCommand(args, options) {
+    if (args.length < 2) {
+      console.error(MESSAGES.USAGE_FRONTMATTER);
+      process.exit(1);
+    }
+    await this.showFrontmatter(
+      args[1],
+      args[2] ?? null,
+      args[3] ?? null,
+      options
+    );
   }
 
   async run() {
-    const { command, args, options } = this.parseArgs();
+    const { command, args, flags } = this.parseArgs();
+
+    let configFile;
+    let config;
+    try {
+      ({ filePath: configFile, config } = flags.config
+        ? { filePath: flags.config, config: await loadConfigFile(flags.config) }
+        : await loadConfig());
+    } catch (error) {
+      console.error(`${MESSAGES.ERROR}:`, error.message);
+      process.exit(1);
+    }
+    this.configFile = configFile;
+    const options = this.resolveOptions(config, flags, configFile);
+    this.raw = options.raw;
+
+    let plugins;
+    try {
+      plugins = await loadPlugins(options.plugins);
+    } catch (error) {
+      console.error(`${MESSAGES.ERROR}:`, error.message);
+      process.exit(1);
+    }
+
+    this.parser = new MarkdownTreeParser({
+      gfm: options.gfm,
+      slugDialect: options.slug,
+      plugins,
+      ...options.stringify,
+    });
+    this.linkChecker = new LinkChecker({
+      concurrency: options.concurrency,
+      timeout: options.timeout,
+      retries: options.retries,
+      rateLimit: options.rateLimit,
+      cacheFile: options.cacheFile,
+      cacheTtl: options.cacheTtl * 1000,
+    });
 
     try {
       switch (command) {
@@ -598,19 +2247,28 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
           await this.handleExtractAllCommand(args, options);
           break;
         case 'explode':
-          await this.handleExplodeCommand(args);
+          await this.handleExplodeCommand(args, options);
           break;
         case 'assemble':
-          await this.handleAssembleCommand(args);
+          await this.handleAssembleCommand(args, options);
+          break;
+        case 'roundtrip-check':
+          await this.handleRoundtripCheckCommand(args, options);
           break;
         case 'tree':
-          await this.handleTreeCommand(args);
+          await this.handleTreeCommand(args, options);
+          break;
+        case 'outline':
+          await this.handleOutlineCommand(args, options);
           break;
         case 'search':
           await this.handleSearchCommand(args, options);
           break;
         case 'stats':
-          await this.handleStatsCommand(args);
+          await this.handleStatsCommand(args, options);
+          break;
+        case 'build':
+          await this.handleBuildCommand(args, options);
           break;
         case 'toc':
           await this.handleTocCommand(args, options);
@@ -618,6 +2276,24 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
         case 'check-links':
           await this.handleCheckLinksCommand(args, options);
           break;
+        case 'replace':
+          await this.handleReplaceCommand(args, options);
+          break;
+        case 'insert':
+          await this.handleInsertCommand(args, options);
+          break;
+        case 'remove':
+          await this.handleRemoveCommand(args, options);
+          break;
+        case 'move':
+          await this.handleMoveCommand(args, options);
+          break;
+        case 'frontmatter':
+          await this.handleFrontmatterCommand(args, options);
+          break;
+        case 'config':
+          await this.handleConfigCommand(args, options);
+          break;
         default:
           console.error(`${MESSAGES.ERROR} Unknown command: ${command}`);
           console.log('Run "md-tree help" for usage information.');
@@ -630,203 +2306,705 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
       }
       process.exit(1);
     }
-  }
+  }
+
+  async explodeDocument(filePath, outputDir, options = {}) {
+    // Use the text-based approach for perfect round-trip compatibility
+    return await this.explodeDocumentTextBased(filePath, outputDir, options);
+  }
+
+  /**
+   * Text-based explode that preserves original formatting exactly. Sections
+   * at `level` become files named after their heading. With `recursive`,
+   * sections that have subsections (down to `maxLevel`) become directories
+   * with their own index.md and a file per subsection instead.
+   * @param {string} filePath - Markdown file to explode
+   * @param {string} outputDir - Directory to write the sections to
+   * @param {Object} options - Explode options
+   * @param {number} options.level - Heading level to split at (default: 2)
+   * @param {boolean} options.recursive - Nest subsections in directories
+   * @param {number} options.maxLevel - Deepest heading level that gets its
+   *   own file when recursive (default: 3)
+   * @param {string} options.naming - How to name sections whose file name
+   *   is taken or empty: suffix, number or hash (default: suffix)
+   * @param {boolean} options.force - Write into a non-empty directory
+   * @param {boolean} options.clean - Remove section files of an earlier
+   *   explode that are not written again
+   * @param {boolean} options.dryRun - List the files instead of writing
+   * @returns {Promise<boolean>} Whether any sections were found
+   */
+  async explodeDocumentTextBased(filePath, outputDir, options = {}) {
+    const {
+      level = 2,
+      recursive = false,
+      maxLevel = 3,
+      naming = 'suffix',
+      force = false,
+      clean = false,
+      dryRun = false,
+    } = options;
+    // Errors are thrown rather than exiting, so roundtrip-check can remove
+    // its temporary directory
+    if (level < 2 || level > LIMITS.MAX_HEADING_LEVEL) {
+      throw new Error(
+        `Explode level must be between 2 and ${LIMITS.MAX_HEADING_LEVEL}`
+      );
+    }
+
+    const content = await this.readFile(filePath);
+    const sourceLines = content.split('\n');
+    const tree = await this.parser.parse(content);
+
+    // A level 1 heading that starts the document is its title; the sections
+    // under it are split, and so are any later level 1 headings
+    const roots = this.buildSectionOutline(tree, sourceLines);
+    const title = roots[0]?.depth === 1 ? roots[0] : null;
+    const sections = title ? [...title.children, ...roots.slice(1)] : roots;
+
+    const files = [];
+    this.planSectionFiles(
+      sections,
+      '',
+      { level, recursive, maxLevel, naming },
+      files
+    );
+
+    if (files.length === 0) {
+      console.log(
+        `${MESSAGES.NO_SECTIONS_FOUND} at level ${level} in ${this.displayName(filePath)}`
+      );
+      return false;
+    }
+
+    this.assignSectionAnchors(sections, null, null, level);
+
+    if (this.parser.gfm) {
+      this.warnAboutSplitFootnotes(
+        tree,
+        files.map((section) => ({
+          headingText: section.text,
+          startLine: section.start,
+          endLine: this.ownSectionEnd(section) - 1,
+        }))
+      );
+    }
+
+    // Parent headings and their own text go below the TOC of index.md, where
+    // the TOC can link to them
+    const parents = [];
+    const collectParents = (list) => {
+      for (const section of list.filter((child) => child.parent)) {
+        parents.push(section);
+        collectParents(section.children);
+      }
+    };
+    collectParents(sections);
+    const parentPieces = parents.map((section, i) => ({
+      file: 'index.md',
+      start: section.start,
+      end: this.ownSectionEnd(section),
+      headingsBefore: i === 0 ? ['Table of Contents'] : [],
+    }));
+
+    // Keep links working from the files the sections are moved to
+    const firstSection = sections.find((section) => !section.dropped);
+    const pieces = [
+      { file: 'index.md', start: 0, end: firstSection.start },
+      ...files.map((section) => ({
+        file: section.file,
+        start: section.start,
+        end: this.ownSectionEnd(section),
+      })),
+      ...parentPieces,
+    ];
+    const lines = this.relinkExplodedSections(
+      content,
+      tree,
+      path.dirname(path.resolve(filePath)),
+      path.resolve(outputDir),
+      pieces
+    ).split('\n');
+    parents.forEach((section, i) => {
+      section.anchor = parentPieces[i].anchor;
+    });
+
+    this.info(
+      `\n📚 Exploding ${files.length} sections from ${this.displayName(filePath)} to ${outputDir}:\n`
+    );
+
+    // Extract each section to its own file, with its heading as level 1
+    const outputs = [];
+    for (const section of files) {
+      const end = this.ownSectionEnd(section);
+      let sectionContent = await this.shiftHeadings(
+        lines.slice(section.start, end).join('\n'),
+        1 - section.depth
+      );
+      if (section.directory) {
+        sectionContent = this.buildIndexContent(
+          sectionContent.split('\n'),
+          section.text,
+          this.buildIndexToc(section.children, section.file, section.depth)
+        );
+      }
+
+      outputs.push({ file: section.file, content: sectionContent });
+      this.info(
+        `${MESSAGES.PROCESSING} ${section.text} ${MESSAGES.SECTION_ARROW} ${section.file}`
+      );
+    }
+
+    // Everything before the first section (frontmatter, the title and the
+    // preamble below it) is kept verbatim at the top of index.md
+    const indexContent = this.buildIndexContent(
+      lines.slice(0, firstSection.start),
+      // Documents without a title still need a top item to nest the TOC
+      title?.text ?? 'Table of Contents',
+      this.buildIndexToc(sections, 'index.md', 1),
+      parents.flatMap((section) =>
+        lines.slice(section.start, this.ownSectionEnd(section))
+      )
+    );
+    outputs.push({ file: 'index.md', content: indexContent });
+    this.info(`${MESSAGES.PROCESSING} ${MESSAGES.TOC_CREATED}`);
+
+    const manifest = {
+      version: 1,
+      source: this.displayName(filePath),
+      level,
+      naming,
+      sections: this.buildManifestSections(sections, sourceLines),
+    };
+    const links = {};
+    for (const piece of pieces.filter((piece) => piece.links)) {
+      links[piece.file] = { ...links[piece.file], ...piece.links };
+    }
+    if (Object.keys(links).length > 0) manifest.links = links;
+    outputs.push({
+      file: MANIFEST_FILE,
+      content: `${JSON.stringify(manifest, null, 2)}\n`,
+    });
+    this.info(`${MESSAGES.PROCESSING} ${MESSAGES.MANIFEST_CREATED}`);
+
+    // Section files of an earlier explode that no heading maps to anymore
+    const stale = clean
+      ? (await this.listExplodedFiles(outputDir)).filter(
+          (file) => !outputs.some((output) => output.file === file)
+        )
+      : [];
+
+    const written = await this.writeOutputs(
+      outputs.map(({ file, content }) => ({
+        path: path.join(outputDir, file),
+        content,
+      })),
+      {
+        outputDir,
+        remove: stale.map((file) => path.join(outputDir, file)),
+        force,
+        dryRun,
+      }
+    );
+    if (written) {
+      this.info(
+        `\n✨ Document exploded to ${outputDir} (${outputs.length} files)`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * List the section files of an earlier explode, from its manifest or else
+   * from the TOCs of its index files
+   * @param {string} outputDir - Explode output directory
+   * @returns {Promise<string[]>} Paths relative to outputDir
+   */
+  async listExplodedFiles(outputDir) {
+    const files = [];
+    const manifest = await this.readManifest(outputDir);
+
+    if (manifest) {
+      const add = (sections) => {
+        for (const section of sections) {
+          if (typeof section.file === 'string') files.push(section.file);
+          add(section.sections ?? []);
+        }
+      };
+      add(manifest.sections);
+    } else {
+      const addIndex = async (dir) => {
+        let content;
+        try {
+          content = await fs.readFile(
+            path.join(outputDir, dir, 'index.md'),
+            'utf-8'
+          );
+        } catch {
+          return;
+        }
+        const tree = await this.parser.parse(content);
+        for (const entry of await this.extractSectionFilesFromTOC(tree)) {
+          if (!entry.filename) continue;
+          const file = path.posix.join(dir, entry.filename);
+          files.push(file);
+          if (entry.directory) await addIndex(path.posix.dirname(file));
+        }
+      };
+      await addIndex('.');
+    }
 
-  async explodeDocument(filePath, outputDir) {
-    // Use the text-based approach for perfect round-trip compatibility
-    return await this.explodeDocumentTextBased(filePath, outputDir);
+    // Never reach outside the output directory
+    return files
+      .map((file) => path.posix.normalize(file))
+      .filter(
+        (file) => !file.startsWith('../') && !path.posix.isAbsolute(file)
+      );
   }
 
-  // Text-based explode that preserves original formatting exactly
-  async explodeDocumentTextBased(filePath, outputDir) {
-    const content = await this.readFile(filePath);
-    const lines = content.split('\n');
+  /**
+   * Describe the planned sections for the manifest, in document order.
+   * Parent headings without a file keep their original heading line.
+   * @param {Array<Object>} sections - Planned sections
+   * @param {string[]} lines - Lines of the document
+   * @returns {Array<Object>} Manifest entries as { title, depth, file } or
+   *   { title, depth, heading, anchor }, with the entries of directories and
+   *   parent headings in `sections`
+   */
+  buildManifestSections(sections, lines) {
+    const entries = [];
+    for (const section of sections) {
+      if (section.dropped || (section.target && !section.file)) continue;
 
-    // Find all level 2 headings and their positions
-    const sections = [];
-    let currentSection = null;
-    let inCodeBlock = false;
+      const entry = { title: section.text, depth: section.depth };
+      if (section.file) {
+        entry.file = section.file;
+      } else {
+        entry.heading = lines[section.start];
+        entry.anchor = section.anchor;
+      }
+      if (!section.file || section.directory) {
+        entry.sections = this.buildManifestSections(section.children, lines);
+      }
+      entries.push(entry);
+    }
+    return entries;
+  }
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmed = line.trim();
+  /**
+   * Build the section hierarchy of a document from its top-level ATX
+   * headings. A section spans from its heading line up to the next heading
+   * of the same or a higher level. Setext headings stay part of the content.
+   * @param {Object} tree - The AST tree of the document
+   * @param {string[]} lines - Lines of the document
+   * @returns {Array<Object>} Root sections as { depth, text, start, end,
+   *   children }, with 0-based start and (exclusive) end lines
+   */
+  buildSectionOutline(tree, lines) {
+    const roots = [];
+    const stack = [];
 
-      // Track fenced code blocks and ignore headings within them
-      if (trimmed.startsWith('```') || trimmed.startsWith('~~~')) {
-        if (currentSection) {
-          currentSection.lines.push(line);
-        }
-        inCodeBlock = !inCodeBlock;
+    for (const node of tree.children) {
+      const start = node.position?.start.line - 1;
+      if (node.type !== 'heading' || !PATTERNS.ATX_HEADING.test(lines[start])) {
         continue;
       }
 
-      if (inCodeBlock) {
-        if (currentSection) {
-          currentSection.lines.push(line);
-        }
-        continue;
+      const section = {
+        depth: node.depth,
+        text: this.parser.getHeadingText(node),
+        start,
+        end: lines.length,
+        children: [],
+      };
+      while (stack.length > 0 && stack.at(-1).depth >= section.depth) {
+        stack.pop().end = start;
       }
+      (stack.at(-1)?.children ?? roots).push(section);
+      stack.push(section);
+    }
 
-      // Check for main title (level 1)
-      if (line.match(/^# /)) {
-        if (currentSection) {
-          currentSection.endLine = i - 1;
-          sections.push(currentSection);
-        }
-        currentSection = null;
+    return roots;
+  }
+
+  /**
+   * Decide which file every section of an explode is written to. Sections
+   * above the split level stay in the index (marked `parent`), and sections
+   * below it stay inside their parent's file.
+   * @param {Array<Object>} sections - Sections from buildSectionOutline()
+   * @param {string} dir - Directory relative to the explode output
+   * @param {Object} options - Explode options (level, recursive, maxLevel)
+   * @param {Array<Object>} files - Collects the sections that get a file,
+   *   with `file` set to their path and `directory` for nested indexes
+   */
+  planSectionFiles(sections, dir, options, files, names = new Set(['index'])) {
+    const { level, recursive, maxLevel, naming } = options;
+
+    for (const section of sections) {
+      // Parents of split sections stay in the index, but a parent without
+      // any is kept whole
+      if (section.children.some((child) => child.depth <= level)) {
+        section.parent = true;
+        this.planSectionFiles(section.children, dir, options, files, names);
         continue;
       }
+      if (section.depth > level) continue;
 
-      // Check for level 2 heading (section start)
-      if (line.match(/^## /)) {
-        if (currentSection) {
-          currentSection.endLine = i - 1;
-          sections.push(currentSection);
-        }
+      const { name, conflict } = this.pickSectionFileName(
+        section.text,
+        names,
+        naming
+      );
+      const nested =
+        recursive &&
+        section.depth < maxLevel &&
+        section.children.some((child) => child.depth === section.depth + 1);
+
+      if (nested) {
+        section.file = path.posix.join(dir, name, 'index.md');
+        section.directory = true;
+        files.push(section);
+        this.planSectionFiles(
+          section.children,
+          path.posix.join(dir, name),
+          { ...options, level: section.depth + 1 },
+          files
+        );
+      } else {
+        section.file = path.posix.join(dir, `${name}.md`);
+        files.push(section);
+      }
 
-        currentSection = {
-          headingText: line.replace(/^## /, ''),
-          startLine: i,
-          endLine: null,
-          lines: [],
+      if (conflict) {
+        const reasons = {
+          empty: 'has no characters usable in a file name',
+          index: 'would be written to the index',
+          taken: 'has the same file name as an earlier section',
         };
-        continue;
+        console.log(
+          `${MESSAGES.WARNING}: "${section.text}" ${reasons[conflict]}, writing it to ${section.file}`
+        );
       }
+    }
+  }
 
-      // Add line to current section if we're in one
-      if (currentSection) {
-        currentSection.lines.push(line);
-      }
+  /**
+   * Name the file (or directory) of a section after its heading, unique in
+   * its directory. Names are compared case-insensitively, as on macOS and
+   * Windows, and "index" is kept for the index.
+   * @param {string} text - Heading text
+   * @param {Set<string>} names - Lowercased names used in the directory so
+   *   far, updated with the new name
+   * @param {string} naming - suffix, number or hash
+   * @returns {{name: string, conflict: string|null}} Name without extension,
+   *   and why the heading's own name could not be used: "empty", "index"
+   *   or "taken"
+   */
+  pickSectionFileName(text, names, naming) {
+    const slug = this.sanitizeFilename(text);
+    let name = slug || 'section';
+    let conflict = slug ? null : 'empty';
+
+    if (naming === 'number') {
+      // Every section is numbered; "index" is always in names, so the
+      // first section gets 01
+      name = `${String(names.size).padStart(2, '0')}-${name}`;
+    } else if (names.has(name.toLowerCase())) {
+      conflict = name.toLowerCase() === 'index' ? 'index' : 'taken';
     }
 
-    // Don't forget the last section
-    if (currentSection) {
-      currentSection.endLine = lines.length - 1;
-      sections.push(currentSection);
+    if (naming === 'hash' && conflict) {
+      const hash = createHash('sha1').update(text).digest('hex').slice(0, 8);
+      name = `${name}-${hash}`;
     }
 
-    if (sections.length === 0) {
-      console.log(
-        `${MESSAGES.NO_SECTIONS_FOUND} at level 2 in ${path.basename(filePath)}`
-      );
-      return;
+    // Identical headings still need a suffix
+    const base = name;
+    for (let n = 1; names.has(name.toLowerCase()); n++) {
+      name = `${base}-${n}`;
     }
+    names.add(name.toLowerCase());
+    return { name, conflict };
+  }
 
-    // Create output directory
-    await fs.mkdir(outputDir, { recursive: true });
+  /**
+   * Record the file each heading ends up in and its anchor there. Anchors
+   * are unique per section file, not per original document.
+   * @param {Array<Object>} sections - Planned sections
+   * @param {string|null} file - File the sections are written to, if any
+   * @param {Object|null} slugger - Slugger of that file
+   * @param {number} level - Split level, for sections not in any file
+   */
+  assignSectionAnchors(sections, file, slugger, level) {
+    for (const section of sections) {
+      if (section.file) {
+        const fileSlugger = this.parser.createSlugger();
+        fileSlugger.slug(section.text);
+        section.target = section.file;
+        this.assignSectionAnchors(
+          section.children,
+          section.file,
+          fileSlugger,
+          level
+        );
+      } else if (file) {
+        section.target = file;
+        section.anchor = slugger.slug(section.text);
+        this.assignSectionAnchors(section.children, file, slugger, level);
+      } else if (section.parent) {
+        // Parents get the anchor of their heading in the index once it is
+        // laid out
+        this.assignSectionAnchors(section.children, null, null, level);
+      } else {
+        // Text before the first section, or before the first subsection of
+        // a parent, stays with the heading above it
+        section.dropped = true;
+      }
+    }
+  }
 
-    console.log(
-      `\n📚 Exploding ${sections.length} sections from ${path.basename(filePath)} to ${outputDir}:\n`
-    );
+  // Nested indexes and parent headings only hold their section's text up to
+  // the first subsection
+  ownSectionEnd(section) {
+    if (section.directory) {
+      return section.children.find((child) => child.file).start;
+    }
+    if (section.parent) {
+      return section.children.find((child) => !child.dropped).start;
+    }
+    return section.end;
+  }
 
-    // Keep track of section filenames for index generation
-    const sectionFiles = [];
+  /**
+   * List planned sections as a nested TOC for an index file
+   * @param {Array<Object>} sections - Planned sections
+   * @param {string} indexFile - Path of the index, relative to the output
+   * @param {number} rootDepth - Heading level of the index's title
+   * @returns {string[]} TOC lines
+   */
+  buildIndexToc(sections, indexFile, rootDepth) {
+    const toc = [];
+    const indexDir = path.posix.dirname(indexFile);
+
+    const add = (list) => {
+      for (const section of list) {
+        if (section.dropped) continue;
+
+        let link = `#${section.anchor}`;
+        if (section.target) {
+          link = `./${path.posix.relative(indexDir, section.target)}`;
+          if (section.anchor) link += `#${section.anchor}`;
+        }
+        const indent = '  '.repeat(section.depth - rootDepth);
+        toc.push(`${indent}- [${section.text}](${link})`);
+        add(section.children);
+      }
+    };
 
-    // Extract each section to its own file
-    for (const section of sections) {
-      const headingText = section.headingText;
+    add(sections);
+    return toc;
+  }
 
-      // Make main section heading Level 1, and decrement all subsection headings by one level
-      const decrementedLines = section.lines.map((line) => {
-        // Check if line is a heading (starts with #)
-        const headingMatch = line.match(/^(#{2,6})(\s+.*)$/);
-        if (headingMatch) {
-          const [, hashes, rest] = headingMatch;
-          // Remove one # to decrease the level (level 3 becomes level 2, etc.)
-          return hashes.slice(1) + rest;
-        }
-        return line;
-      });
+  /**
+   * Build an index.md: the title and any text kept with it, followed by the
+   * table of contents and the parent headings with their own text
+   * @param {string[]} headLines - Lines up to the first section, including
+   *   the title heading
+   * @param {string} title - Plain title text
+   * @param {string[]} toc - TOC lines from buildIndexToc()
+   * @param {string[]} parentLines - Lines of the parent headings, as in the
+   *   document
+   * @returns {string} Index markdown
+   */
+  buildIndexContent(headLines, title, toc, parentLines = []) {
+    const index = [
+      ...headLines,
+      '## Table of Contents',
+      '',
+      `- [${title}](#${this.parser.createSlug('Table of Contents')})`,
+      ...toc,
+    ];
+    if (parentLines.length > 0) index.push('', ...parentLines);
+    return `${index.join('\n')}\n`;
+  }
 
-      const sectionLines = [`# ${headingText}`, ...decrementedLines];
-      const adjustedContent = sectionLines.join('\n');
+  /**
+   * Rewrite the URLs of links, images and definitions, leaving the rest of
+   * the text untouched
+   * @param {string} content - Markdown the tree was parsed from
+   * @param {Object} tree - The AST tree of the content
+   * @param {function} rewrite - Receives the URL and its node; returns the
+   *   new URL, or null to keep it
+   * @returns {string} Content with rewritten URLs
+   */
+  rewriteLinks(content, tree, rewrite) {
+    const edits = [];
+    for (const node of this.parser.selectAll(tree, 'link, image, definition')) {
+      const url = rewrite(node.url, node);
+      const destination =
+        url === null ? null : findLinkDestination(content, node);
+      if (destination) edits.push({ ...destination, url });
+    }
 
-      // Generate filename without numbered prefix
-      const filename = `${this.sanitizeFilename(headingText)}.md`;
-      const outputPath = path.join(outputDir, filename);
+    // Splice from the end so earlier offsets stay valid
+    let rewritten = content;
+    for (const { start, end, url } of edits.sort((a, b) => b.start - a.start)) {
+      rewritten = rewritten.slice(0, start) + url + rewritten.slice(end);
+    }
+    return rewritten;
+  }
 
-      sectionFiles.push({
-        filename,
-        headingText,
-      });
+  /**
+   * Rewrite the links of a document for the files explode splits it into.
+   * Relative paths are made relative to the new file, and anchors of
+   * headings that end up in another file link to that file.
+   * @param {string} content - The document
+   * @param {Object} tree - The AST tree of the document
+   * @param {string} sourceDir - Absolute directory of the document
+   * @param {string} outputDir - Absolute explode output directory
+   * @param {Array<{file: string, start: number, end: number}>} pieces -
+   *   Files relative to outputDir and the line ranges they get (see
+   *   slugInPiece() for `headingsBefore`). Pieces get the `anchor` of a
+   *   heading on their first line, and pieces with rewritten paths get
+   *   `links`, mapping each new URL to the original.
+   * @returns {string} The document with rewritten links
+   */
+  relinkExplodedSections(content, tree, sourceDir, outputDir, pieces) {
+    const pieceAt = (node) => {
+      const line = node.position.start.line - 1;
+      return pieces.find((piece) => line >= piece.start && line < piece.end);
+    };
 
-      await this.writeFile(outputPath, adjustedContent);
-      console.log(
-        `${MESSAGES.PROCESSING} ${headingText} ${MESSAGES.SECTION_ARROW} ${filename}`
-      );
+    // Each file gets its own anchors; duplicates are numbered per file
+    const anchors = new Map();
+    const sluggers = new Map();
+    for (const heading of this.parser.getHeadingsList(tree)) {
+      const piece = pieceAt(heading.node);
+      if (!piece) continue;
+      const anchor = this.slugInPiece(sluggers, piece, heading.text);
+      anchors.set(heading.slug, { piece, anchor });
+      if (heading.node.position.start.line - 1 === piece.start) {
+        piece.anchor = anchor;
+      }
     }
 
-    // Parse content with AST to generate rich TOC with all subsections
-    const tree = await this.parser.parse(content);
-    const indexContent = await this.generateIndexContentWithSubsections(
-      tree,
-      sectionFiles
-    );
-    const indexPath = path.join(outputDir, 'index.md');
-    await this.writeFile(indexPath, indexContent);
-    console.log(`${MESSAGES.PROCESSING} ${MESSAGES.TOC_CREATED}`);
+    return this.rewriteLinks(content, tree, (url, node) => {
+      const piece = pieceAt(node);
+      if (!piece) return null;
+      const pieceFile = path.join(outputDir, piece.file);
+
+      if (url.startsWith('#')) {
+        const target = anchors.get(url.slice(1));
+        if (!target) return null;
+        if (target.piece !== piece) {
+          const targetFile = path.join(outputDir, target.piece.file);
+          return `${linkBetween(pieceFile, targetFile)}#${target.anchor}`;
+        }
+        return target.anchor === url.slice(1) ? null : `#${target.anchor}`;
+      }
 
-    console.log(
-      `\n✨ Document exploded to ${outputDir} (${sectionFiles.length + 1} files)`
-    );
+      const pieceDir = path.dirname(pieceFile);
+      if (!isRelativeLink(url) || pieceDir === sourceDir) return null;
+      const { urlPath, suffix } = splitLink(url);
+      const relinked = `${path
+        .relative(pieceDir, path.resolve(sourceDir, urlPath))
+        .split(path.sep)
+        .join('/')}${suffix}`;
+      // Remember how the URL was written so assemble can restore it
+      piece.links ??= {};
+      piece.links[relinked] = url;
+      return relinked;
+    });
   }
 
-  async generateIndexContent(tree, sectionFiles) {
-    // Use the enhanced AST-based approach to include all subsections
-    return await this.generateIndexContentWithSubsections(tree, sectionFiles);
+  /**
+   * Slug a heading for the file a piece of a document comes from or goes
+   * to, numbering duplicates per file
+   * @param {Map<string, Object>} sluggers - Sluggers by file
+   * @param {Object} piece - The piece; `headingsBefore` lists headings its
+   *   file has before the piece that are not in the document, like the TOC
+   *   heading of an index
+   * @param {string} text - Heading text
+   * @returns {string} The anchor of the heading in its file
+   */
+  slugInPiece(sluggers, piece, text) {
+    if (!sluggers.has(piece.file)) {
+      sluggers.set(piece.file, this.parser.createSlugger());
+    }
+    const slugger = sluggers.get(piece.file);
+    for (const before of piece.headingsBefore ?? []) slugger.slug(before);
+    piece.headingsBefore = [];
+    return slugger.slug(text);
   }
 
-  // Enhanced index generation with all subsections using AST
-  async generateIndexContentWithSubsections(tree, sectionFiles) {
-    const headings = this.parser.getHeadingsList(tree);
-    const mainTitle = headings.find((h) => h.level === 1);
+  /**
+   * Shift every ATX heading by a number of levels, leaving headings in code
+   * blocks and other content untouched
+   * @param {string} content - Markdown content
+   * @param {number} adjustment - Levels to add (negative to remove)
+   * @returns {Promise<string>} Content with shifted headings
+   */
+  async shiftHeadings(content, adjustment) {
+    if (adjustment === 0) return content;
 
-    if (!mainTitle) {
-      return await this.generateIndexContentTextBased(
-        await this.parser.stringify(tree),
-        sectionFiles
-      );
-    }
+    const lines = content.split('\n');
+    const tree = await this.parser.parse(content);
+    for (const node of tree.children) {
+      if (node.type !== 'heading') continue;
 
-    // Create a map of section names to filenames for quick lookup
-    const sectionMap = new Map();
-    for (const file of sectionFiles) {
-      sectionMap.set(file.headingText.toLowerCase(), file.filename);
+      const index = node.position.start.line - 1;
+      const match = PATTERNS.ATX_HEADING.exec(lines[index]);
+      if (match) {
+        const depth = Math.min(
+          Math.max(match[1].length + adjustment, LIMITS.MIN_HEADING_LEVEL),
+          LIMITS.MAX_HEADING_LEVEL
+        );
+        lines[index] = lines[index].replace(
+          PATTERNS.ATX_HEADING,
+          '#'.repeat(depth)
+        );
+      }
     }
+    return lines.join('\n');
+  }
 
-    // Start with title and TOC heading
-    let toc = `# ${mainTitle.text}\n\n## Table of Contents\n\n`;
-
-    // Add the main title link
-    toc += `- [${mainTitle.text}](#table-of-contents)\n`;
-
-    // Process all headings to create nested TOC
-    let currentLevel2Filename = null;
-
-    for (const heading of headings) {
-      // Skip the main title (level 1)
-      if (heading.level === 1) {
-        continue;
-      }
+  /**
+   * Warn when a GFM footnote is referenced in one section but defined in
+   * another, since the reference will dangle once the sections are split
+   * @param {Object} tree - AST of the original document
+   * @param {Array} sections - Sections found by the text-based explode
+   */
+  warnAboutSplitFootnotes(tree, sections) {
+    // Positions are 1-based, section line numbers are 0-based
+    const findSection = (node) =>
+      sections.find(
+        (section) =>
+          node.position.start.line - 1 >= section.startLine &&
+          node.position.start.line - 1 <= section.endLine
+      );
 
-      if (heading.level === 2) {
-        // This is a main section
-        currentLevel2Filename = sectionMap.get(heading.text.toLowerCase());
+    const definitions = new Map();
+    for (const node of this.parser.selectAll(tree, 'footnoteDefinition')) {
+      definitions.set(node.identifier, findSection(node));
+    }
 
-        if (currentLevel2Filename) {
-          toc += `  - [${heading.text}](./${currentLevel2Filename})\n`;
-        } else {
-          toc += `  - [${heading.text}](#${this.createAnchor(heading.text)})\n`;
-        }
-      } else if (heading.level > 2 && currentLevel2Filename) {
-        // This is a subsection within a level 2 section
-        const indent = '  '.repeat(heading.level - 1);
-        const anchor = this.createAnchor(heading.text);
-        toc += `${indent}- [${heading.text}](./${currentLevel2Filename}#${anchor})\n`;
+    const reported = new Set();
+    for (const node of this.parser.selectAll(tree, 'footnoteReference')) {
+      const referencingSection = findSection(node);
+      const definingSection = definitions.get(node.identifier);
+      const key = `${node.identifier}:${referencingSection?.headingText}`;
+
+      if (
+        referencingSection &&
+        definingSection &&
+        referencingSection !== definingSection &&
+        !reported.has(key)
+      ) {
+        reported.add(key);
+        console.log(
+          `${MESSAGES.WARNING}: footnote [^${node.label}] used in "${referencingSection.headingText}" is defined in "${definingSection.headingText}"`
+        );
       }
     }
-
-    return toc;
   }
 
   /**
@@ -880,39 +3058,6 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
     return this.adjustHeadingLevels(content, 1); // Add # (increase logical level)
   }
 
-  // Generate index content preserving original spacing
-  async generateIndexContentTextBased(originalContent, sectionFiles) {
-    const lines = originalContent.split('\n');
-
-    // Find the main title
-    let mainTitle = 'Table of Contents';
-    for (const line of lines) {
-      if (line.match(/^# /)) {
-        mainTitle = line.replace(/^# /, '');
-        break;
-      }
-    }
-
-    // Create a map of section names to filenames for quick lookup
-    const sectionMap = new Map();
-    for (const file of sectionFiles) {
-      sectionMap.set(file.headingText.toLowerCase(), file.filename);
-    }
-
-    // Start with title and TOC heading, preserving original spacing
-    let toc = `# ${mainTitle}\n\n## Table of Contents\n\n`;
-
-    // Add the main title link
-    toc += `- [${mainTitle}](#table-of-contents)\n`;
-
-    // Add links for each section
-    for (const file of sectionFiles) {
-      toc += `  - [${file.headingText}](./${file.filename})\n`;
-    }
-
-    return toc;
-  }
-
   findParentLevel2Heading(headings, targetHeading) {
     const targetIndex = headings.indexOf(targetHeading);
 
@@ -978,99 +3123,492 @@ For more information, visit: https://github.com/ksylvan/markdown-tree-parser
     return clonedTree;
   }
 
-  async assembleDocument(inputDir, outputFile) {
+  async assembleDocument(inputDir, outputFile, options = {}) {
     const indexPath = path.join(inputDir, 'index.md');
 
     // Check if index.md exists
     try {
       await fs.access(indexPath);
     } catch {
-      console.error(
-        `${MESSAGES.ERROR} ${MESSAGES.INDEX_NOT_FOUND} ${inputDir}`
-      );
-      process.exit(1);
+      throw new Error(`${MESSAGES.INDEX_NOT_FOUND} ${inputDir}`);
     }
 
     const indexContent = await this.readFile(indexPath);
     const indexTree = await this.parser.parse(indexContent);
 
-    // Extract the main title and get the list of section files from TOC
+    // Extract the main title and get the list of section files from TOC.
+    // Documents without a title can only be assembled from a generated TOC.
     const headings = this.parser.getHeadingsList(indexTree);
     const mainTitle = headings.find((h) => h.level === 1);
 
-    if (!mainTitle) {
-      console.error(`${MESSAGES.ERROR} ${MESSAGES.NO_MAIN_TITLE}`);
-      process.exit(1);
+    if (!mainTitle && !this.findIndexToc(indexTree)) {
+      throw new Error(MESSAGES.NO_MAIN_TITLE);
     }
 
-    console.log(`\n📚 Assembling document: ${mainTitle.text}`);
+    this.info(
+      `\n📚 Assembling document: ${mainTitle?.text ?? path.basename(path.resolve(inputDir))}`
+    );
 
-    // Parse the TOC to extract section file references
-    const sectionFiles = await this.extractSectionFilesFromTOC(indexTree);
+    // The manifest explode wrote lists the sections even when index.md was
+    // edited by hand; without one, the TOC in index.md is used
+    const manifest = await this.readManifest(inputDir);
+    if (manifest) {
+      this.info(`📋 Reading sections from ${MANIFEST_FILE}`);
+    }
+    const sectionFiles = manifest
+      ? this.getManifestSectionFiles(manifest.sections, '.', 1)
+      : await this.extractSectionFilesFromTOC(indexTree);
 
     if (sectionFiles.length === 0) {
-      console.error(`${MESSAGES.ERROR} ${MESSAGES.NO_SECTION_FILES}`);
+      throw new Error(MESSAGES.NO_SECTION_FILES);
+    }
+
+    this.info(`📖 Found ${sectionFiles.length} sections to assemble`);
+
+    const assembledContent = await this.relinkAssembledSections(
+      await this.assembleIndex(inputDir, indexContent, indexTree, sectionFiles),
+      outputFile,
+      new Map(
+        Object.entries(manifest?.links ?? {}).map(([file, links]) => [
+          path.resolve(inputDir, file),
+          links,
+        ])
+      )
+    );
+
+    // Write the assembled document
+    const written = await this.writeOutputs(
+      [{ path: outputFile, content: assembledContent }],
+      { force: options.force, dryRun: options.dryRun }
+    );
+    if (written) {
+      this.info(`\n✨ Document assembled to ${outputFile}`);
+    }
+  }
+
+  /**
+   * Explode a document and assemble it again in a temporary directory, and
+   * report any difference from the original
+   * @param {string} filePath - Markdown file to check
+   * @param {Object} options - Explode options
+   */
+  async roundtripCheck(filePath, options = {}) {
+    const content = await this.readFile(filePath);
+    const name = this.displayName(filePath);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-tree-'));
+    // The copy keeps the file's name for explode's messages
+    const sourceFile = path.join(tempDir, name);
+    const sectionsDir = path.join(tempDir, 'md-tree-sections');
+    const assembledFile = path.join(tempDir, 'md-tree-assembled.md');
+
+    // Only the verdict is of interest, not explode and assemble's progress
+    const raw = this.raw;
+    let exploded;
+    let assembled;
+    try {
+      this.raw = true;
+      await this.writeFile(sourceFile, content);
+      exploded = await this.explodeDocument(sourceFile, sectionsDir, options);
+      if (exploded) {
+        await this.assembleDocument(sectionsDir, assembledFile);
+        assembled = await this.readFile(assembledFile);
+      }
+    } finally {
+      this.raw = raw;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    if (!exploded) {
+      console.error(
+        `${MESSAGES.ERROR} Nothing to check: ${name} has no sections to explode`
+      );
       process.exit(1);
     }
 
-    console.log(`📖 Found ${sectionFiles.length} sections to assemble`);
+    if (assembled === content) {
+      console.log(`✅ ${name} round-trips through explode and assemble`);
+      return;
+    }
+
+    console.log(`❌ ${name} changes after explode and assemble:\n`);
+    console.log(
+      createTwoFilesPatch(name, `${name} (assembled)`, content, assembled)
+    );
+    process.exit(1);
+  }
+
+  /**
+   * Read the manifest of an exploded directory
+   * @param {string} inputDir - Exploded directory
+   * @returns {Promise<Object|null>} The manifest, or null if there is none
+   */
+  async readManifest(inputDir) {
+    const manifestPath = path.join(inputDir, MANIFEST_FILE);
+    let content;
+    try {
+      content = await fs.readFile(manifestPath, 'utf-8');
+    } catch {
+      return null;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid manifest ${manifestPath}: ${error.message}`);
+    }
+    if (!Array.isArray(manifest?.sections)) {
+      throw new Error(
+        `Invalid manifest ${manifestPath}: expected a "sections" list`
+      );
+    }
+    return manifest;
+  }
+
+  /**
+   * Turn manifest entries into the entries assembleIndex() takes, like
+   * extractSectionFilesFromTOC() reads them from an index
+   * @param {Array<Object>} sections - Manifest entries
+   * @param {string} dir - Directory of the index, relative to the manifest
+   * @param {number} rootDepth - Heading level of the index's title
+   * @returns {Array<Object>} Entries in document order; directories carry
+   *   the entries of their own index in `sections`
+   */
+  getManifestSectionFiles(sections, dir, rootDepth) {
+    return sections.flatMap((section) => {
+      const entry = {
+        filename: section.file ? path.posix.relative(dir, section.file) : null,
+        title: section.title,
+        level: section.depth - rootDepth + 1,
+        directory: Boolean(section.file && section.sections),
+      };
+
+      if (!section.file) {
+        // Parent headings are assembled from the index, or else from their
+        // original heading line
+        entry.anchor = section.anchor;
+        if (section.heading) {
+          entry.heading = section.heading.replace(PATTERNS.ATX_HEADING, '#');
+        }
+        return [
+          entry,
+          ...this.getManifestSectionFiles(
+            section.sections ?? [],
+            dir,
+            rootDepth
+          ),
+        ];
+      }
+      if (entry.directory) {
+        entry.sections = this.getManifestSectionFiles(
+          section.sections,
+          path.posix.dirname(section.file),
+          section.depth
+        );
+      }
+      return [entry];
+    });
+  }
+
+  // The TOC explode generated, after anything kept from the original head
+  findIndexToc(indexTree) {
+    return [...indexTree.children]
+      .reverse()
+      .find(
+        (node) =>
+          node.type === 'heading' &&
+          node.depth === 2 &&
+          this.parser.getHeadingText(node) === 'Table of Contents'
+      );
+  }
+
+  /**
+   * Reassemble the sections listed in an index.md, starting with the text
+   * above its TOC (frontmatter, title and preamble, with the title as a
+   * level 1 heading). Parent headings are taken with their text from below
+   * the TOC, and nested directories are assembled recursively.
+   * @param {string} dir - Directory of the index
+   * @param {string} indexContent - Markdown of the index
+   * @param {Object} indexTree - The AST tree of the index
+   * @param {Array<Object>} sectionFiles - Entries from
+   *   extractSectionFilesFromTOC()
+   * @param {string} prefix - Path of `dir` relative to the assembled
+   *   directory, for messages
+   * @returns {Promise<Array<{file: string|null, text: string}>>} The
+   *   assembled markdown, one piece per file it came from (null for parent
+   *   headings missing from the index), to be joined with newlines
+   */
+  async assembleIndex(dir, indexContent, indexTree, sectionFiles, prefix = '') {
+    const lines = indexContent.split('\n');
+    const toc = this.findIndexToc(indexTree);
+
+    // Without a generated TOC heading, assume one blank line after the title
+    let head;
+    if (toc) {
+      head = lines.slice(0, toc.position.start.line - 1);
+    } else {
+      const title = indexTree.children.find(
+        (node) => node.type === 'heading' && node.depth === 1
+      );
+      head = [...lines.slice(0, title.position.start.line), ''];
+    }
+    // Documents that start with a section have nothing above the TOC
+    const indexPath = path.resolve(dir, 'index.md');
+    const pieces =
+      head.length > 0 ? [{ file: indexPath, text: head.join('\n') }] : [];
 
-    // Start building the reassembled document
-    let assembledContent = `# ${mainTitle.text}\n`;
+    // Parent headings follow the TOC with their text, each up to the next
+    const parentAnchors = new Set(
+      sectionFiles
+        .filter((entry) => !entry.filename)
+        .map((entry) => entry.anchor)
+    );
+    const parentStarts = this.parser
+      .getHeadingsList(indexTree)
+      .filter(
+        (heading) =>
+          toc &&
+          heading.node.position.start.offset > toc.position.end.offset &&
+          parentAnchors.has(heading.slug)
+      )
+      .map((heading) => ({
+        anchor: heading.slug,
+        start: heading.node.position.start.line - 1,
+      }));
+    // The last one ends at the newline that ends the index
+    const indexEnd = lines.at(-1) === '' ? lines.length - 1 : lines.length;
+    const parentTexts = new Map(
+      parentStarts.map(({ anchor, start }, i) => [
+        anchor,
+        lines.slice(start, parentStarts[i + 1]?.start ?? indexEnd).join('\n'),
+      ])
+    );
+    let headingsBefore = ['Table of Contents'];
 
-    // Process each section file
     for (const sectionFile of sectionFiles) {
-      console.log(`${MESSAGES.PROCESSING} ${sectionFile.filename}...`);
+      if (parentTexts.has(sectionFile.anchor)) {
+        // Kept as it was in the document, so the levels are already right
+        pieces.push({
+          file: indexPath,
+          text: parentTexts.get(sectionFile.anchor),
+          headingsBefore,
+        });
+        headingsBefore = [];
+        continue;
+      }
 
-      const filePath = path.join(inputDir, sectionFile.filename);
-      try {
-        const sectionContent = await this.readFile(filePath);
+      let sectionPieces;
+      if (!sectionFile.filename) {
+        // A parent heading that is only listed in the index
+        sectionPieces = [
+          {
+            file: null,
+            text: `${sectionFile.heading ?? `# ${sectionFile.title}`}\n`,
+          },
+        ];
+      } else {
+        const displayPath = path.posix.join(prefix, sectionFile.filename);
+        this.info(`${MESSAGES.PROCESSING} ${displayPath}...`);
+
+        const filePath = path.resolve(dir, sectionFile.filename);
+        let sectionContent;
+        try {
+          sectionContent = await this.readFile(filePath);
+        } catch {
+          console.error(
+            `${MESSAGES.WARNING}: Could not read ${displayPath}, skipping...`
+          );
+          continue;
+        }
 
-        // Increment all heading levels back up to match original document structure
-        const adjustedContent =
-          this.incrementHeadingLevelsInText(sectionContent);
+        sectionPieces = [{ file: filePath, text: sectionContent }];
+        if (sectionFile.directory) {
+          const tree = await this.parser.parse(sectionContent);
+          sectionPieces = await this.assembleIndex(
+            path.dirname(filePath),
+            sectionContent,
+            tree,
+            sectionFile.sections ??
+              (await this.extractSectionFilesFromTOC(tree)),
+            path.posix.dirname(displayPath)
+          );
+        }
+      }
 
-        // Add the section content:
-        // - After main title: blank line then content (original has blank line after title)
-        // - Between sections: direct concatenation (original has no spacing between sections)
-        assembledContent += `\n${adjustedContent}`;
-      } catch {
-        console.error(
-          `${MESSAGES.WARNING}: Could not read ${sectionFile.filename}, skipping...`
+      // Shift headings back down to the section's level
+      for (const piece of sectionPieces) {
+        piece.text = await this.shiftHeadings(
+          piece.text,
+          sectionFile.level - 1
         );
+        pieces.push(piece);
       }
     }
 
-    // Write the assembled document
-    await this.writeFile(outputFile, assembledContent);
-    console.log(`\n✨ Document assembled to ${outputFile}`);
-  } // Method to increment ALL heading levels directly in text (shift all headings up one level)
+    return pieces;
+  }
+
+  /**
+   * Join assembled pieces the way explode split them, and turn the links
+   * explode rewrote back into links of a single document: links into
+   * section files become anchors, and relative paths are made relative to
+   * the assembled file
+   * @param {Array<{file: string|null, text: string}>} pieces - Pieces from
+   *   assembleIndex()
+   * @param {string} outputFile - Path of the assembled document
+   * @param {Map<string, Object>} links - URLs as written in the original
+   *   document by the rewritten URL, per absolute file path (from the
+   *   manifest)
+   * @returns {Promise<string>} The assembled document
+   */
+  async relinkAssembledSections(pieces, outputFile, links = new Map()) {
+    const content = pieces.map((piece) => piece.text).join('\n');
+    const tree = await this.parser.parse(content);
+
+    let line = 0;
+    for (const piece of pieces) {
+      piece.start = line;
+      line += piece.text.split('\n').length;
+      piece.end = line;
+    }
+    const pieceAt = (node) => {
+      const start = node.position.start.line - 1;
+      return pieces.find((piece) => start >= piece.start && start < piece.end);
+    };
+
+    // Document anchors by file and the anchor the heading has in that file
+    const anchors = new Map();
+    const firstAnchors = new Map();
+    const sluggers = new Map();
+    for (const heading of this.parser.getHeadingsList(tree)) {
+      const piece = pieceAt(heading.node);
+      const file = piece?.file;
+      if (!file) continue;
+      const anchor = this.slugInPiece(sluggers, piece, heading.text);
+      anchors.set(`${file}#${anchor}`, heading.slug);
+      if (!firstAnchors.has(file)) firstAnchors.set(file, heading.slug);
+    }
+
+    const outputDir = path.dirname(path.resolve(outputFile));
+    return this.rewriteLinks(content, tree, (url, node) => {
+      const file = pieceAt(node)?.file;
+      if (!file) return null;
+
+      if (url.startsWith('#')) {
+        const anchor = anchors.get(`${file}${url}`);
+        return anchor && anchor !== url.slice(1) ? `#${anchor}` : null;
+      }
+      if (!isRelativeLink(url)) return null;
+
+      const { urlPath, suffix } = splitLink(url);
+      const target = path.resolve(path.dirname(file), urlPath);
+      if (firstAnchors.has(target)) {
+        const anchor = suffix.startsWith('#')
+          ? anchors.get(`${target}${suffix}`)
+          : firstAnchors.get(target);
+        if (anchor) return `#${anchor}`;
+      }
+
+      // Keep the original spelling (e.g. a leading ./) if it still points
+      // to the same file from the assembled document
+      const original = links.get(file)?.[url];
+      if (original !== undefined) {
+        const written = splitLink(original);
+        if (
+          written.suffix === suffix &&
+          path.resolve(outputDir, written.urlPath) === target
+        ) {
+          return original === url ? null : original;
+        }
+      }
 
+      if (path.dirname(file) === outputDir) return null;
+      return `${path.relative(outputDir, target).split(path.sep).join('/')}${suffix}`;
+    });
+  }
+
+  /**
+   * List the sections of an exploded index.md in order, walking the nested
+   * list of its TOC. Items linking to a file are sections (`directory`
+   * marks a nested index.md), items linking to a bare anchor are parent
+   * headings that have no file, and links into a file (`./file.md#anchor`)
+   * are subsections that need no entry. Entries under a nested index are
+   * left to that index.
+   * @param {Object} indexTree - The AST tree of the index
+   * @returns {Promise<Array<{filename: string|null, title: string,
+   *   level: number, directory: boolean}>>} Entries, with levels relative
+   *   to the index title
+   */
   async extractSectionFilesFromTOC(indexTree) {
-    // Convert the tree back to markdown to parse the TOC links
-    const indexMarkdown = await this.parser.stringify(indexTree);
-    const lines = indexMarkdown.split('\n');
+    const toc = this.findIndexToc(indexTree);
+    const list = indexTree.children
+      .slice(toc ? indexTree.children.indexOf(toc) + 1 : 0)
+      .find((node) => node.type === 'list');
+    if (!list) return [];
+
+    const itemLink = (item) =>
+      item.children[0]?.type === 'paragraph'
+        ? this.parser.select(item.children[0], 'link')
+        : null;
+    const subList = (item) =>
+      item.children.find((node) => node.type === 'list');
 
     const sectionFiles = [];
     const processedFiles = new Set();
+    const nestedDirs = [];
 
-    for (const line of lines) {
-      // Look for TOC lines that reference files (not just anchors)
-      const match = line.match(/\[([^\]]+)\]\(\.\/([^#)]+)(?:#[^)]*)?\)/);
-      if (match) {
-        const [, linkText, filename] = match;
+    const walk = (items, level) => {
+      for (const item of items) {
+        const link = itemLink(item);
+        const url = link?.url ?? '';
 
-        // Only include level 2 sections (main sections, not sub-sections)
-        // Level 2 items have exactly 2 spaces before the dash (are children of main heading)
-        // Level 3+ items have 4+ spaces (are nested deeper)
-        if (line.match(/^ {2}[-*] \[/) && !processedFiles.has(filename)) {
+        if (url.startsWith('#')) {
           sectionFiles.push({
-            filename,
-            title: linkText,
+            filename: null,
+            title: this.parser.getHeadingText(link),
+            anchor: url.slice(1),
+            level,
+            directory: false,
           });
-          processedFiles.add(filename);
+        } else if (isRelativeLink(url) && !url.includes('#')) {
+          const filename = url.replace(/^\.\//, '');
+          const nested = nestedDirs.some((dir) =>
+            filename.startsWith(`${dir}/`)
+          );
+          if (!processedFiles.has(filename) && !nested) {
+            const directory =
+              filename !== 'index.md' &&
+              path.posix.basename(filename) === 'index.md';
+            if (directory) {
+              nestedDirs.push(path.posix.dirname(filename));
+            }
+            sectionFiles.push({
+              filename,
+              title: this.parser.getHeadingText(link),
+              level,
+              directory,
+            });
+            processedFiles.add(filename);
+          }
         }
+
+        const children = subList(item);
+        if (children) walk(children.children, level + 1);
       }
+    };
+
+    // The generated TOC nests the sections under an item for the title,
+    // followed by any later level 1 headings
+    const [first, ...rest] = list.children;
+    const titleUrl = itemLink(first)?.url ?? '';
+    if (
+      titleUrl === `#${this.parser.createSlug('Table of Contents')}` ||
+      (rest.length === 0 && titleUrl.startsWith('#'))
+    ) {
+      walk(subList(first)?.children ?? [], 2);
+      walk(rest, 1);
+    } else {
+      walk(list.children, 2);
     }
 
     return sectionFiles;
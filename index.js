@@ -9,14 +9,25 @@
  * @license MIT
  */
 
-import { MarkdownTreeParser } from './lib/markdown-parser.js';
+import {
+  MarkdownTreeParser,
+  AmbiguousSectionError,
+} from './lib/markdown-parser.js';
 
 // Export the main class
-export { MarkdownTreeParser };
+export { MarkdownTreeParser, AmbiguousSectionError };
 
 // Default export for convenience
 export default MarkdownTreeParser;
 
+// Export the shared heading slugger
+export {
+  Slugger,
+  slugify,
+  findClosestSlug,
+  SLUG_DIALECTS,
+} from './lib/slugger.js';
+
 // Export additional utilities that might be useful
 export { unified } from 'unified';
 export { find } from 'unist-util-find';
@@ -25,7 +36,8 @@ export { visit } from 'unist-util-visit';
 
 /**
  * Convenience function to create a new parser instance
- * @param {Object} options - Configuration options for the parser
+ * @param {Object} options - Configuration options for the parser (gfm,
+ *   slugDialect, frontmatter, plugins and remark-stringify options)
  * @returns {MarkdownTreeParser} New parser instance
  */
 export function createParser(options = {}) {
@@ -48,7 +60,7 @@ export async function extractSection(markdown, sectionName, options = {}) {
     return null;
   }
 
-  return await parser.stringify(section);
+  return await parser.stringify(section, { source: markdown });
 }
 
 /**
@@ -0,0 +1,95 @@
+/**
+ * md-tree configuration file discovery. The nearest config file found by
+ * walking up from the working directory is used.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import YAML from 'yaml';
+
+// Checked in this order in every directory
+export const CONFIG_FILES = [
+  '.mdtreerc',
+  '.mdtreerc.json',
+  '.mdtreerc.yaml',
+  '.mdtreerc.yml',
+  'md-tree.config.js',
+  'md-tree.config.mjs',
+];
+
+/**
+ * Find the nearest config file
+ * @param {string} startDir - Directory to start searching from
+ * @returns {Promise<string|null>} Absolute path of the config file, or null
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Not in this directory
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load a config file. `.mdtreerc` may be written in JSON or YAML, `.json`
+ * files must be JSON, and JavaScript configs export the config (or a
+ * function returning it) as their default export.
+ * @param {string} filePath - Path of the config file
+ * @returns {Promise<Object>} The config object
+ */
+export async function loadConfigFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let config;
+
+  try {
+    if (/\.m?js$/.test(resolvedPath)) {
+      const module = await import(pathToFileURL(resolvedPath).href);
+      config =
+        typeof module.default === 'function'
+          ? await module.default()
+          : module.default;
+    } else {
+      const content = await fs.readFile(resolvedPath, 'utf-8');
+      config = resolvedPath.endsWith('.json')
+        ? JSON.parse(content)
+        : YAML.parse(content);
+    }
+  } catch (error) {
+    throw new Error(`Invalid config file ${resolvedPath}: ${error.message}`);
+  }
+
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${resolvedPath}: expected an object`);
+  }
+  return config;
+}
+
+/**
+ * Load the nearest config file
+ * @param {string} startDir - Directory to start searching from
+ * @returns {Promise<{filePath: string|null, config: Object}>} The config, or
+ *   an empty config if no file was found
+ */
+export async function loadConfig(startDir = process.cwd()) {
+  const filePath = await findConfigFile(startDir);
+  if (!filePath) {
+    return { filePath: null, config: {} };
+  }
+  return { filePath, config: await loadConfigFile(filePath) };
+}
@@ -0,0 +1,250 @@
+/**
+ * External (http/https) link checking with a shared concurrency pool,
+ * per-host rate limits, timeouts, retries and an optional on-disk cache of
+ * URLs that were recently verified.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { URL } from 'node:url';
+
+const DEFAULTS = {
+  concurrency: 8,
+  timeout: 10_000,
+  retries: 2,
+  retryDelay: 500,
+  rateLimit: 0,
+  cacheFile: null,
+  cacheTtl: 24 * 60 * 60 * 1000,
+};
+
+// Never wait longer than this for a server-provided Retry-After
+const MAX_RETRY_AFTER = 60_000;
+
+export class LinkChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {number} options.concurrency - Requests in flight at once (default: 8)
+   * @param {number} options.timeout - Per-request timeout in ms (default: 10000)
+   * @param {number} options.retries - Retries for network errors, timeouts,
+   *   429 and 5xx responses (default: 2)
+   * @param {number} options.retryDelay - Initial backoff in ms, doubled on
+   *   every retry (default: 500)
+   * @param {number} options.rateLimit - Requests per second per host, 0 for
+   *   no limit (default: 0)
+   * @param {string|null} options.cacheFile - JSON file caching successful
+   *   checks, or null to disable the cache (default: null)
+   * @param {number} options.cacheTtl - How long a cached success is trusted,
+   *   in ms (default: 24 hours)
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    this.concurrency = Math.max(1, settings.concurrency);
+    this.timeout = settings.timeout;
+    this.retries = Math.max(0, settings.retries);
+    this.retryDelay = settings.retryDelay;
+    this.rateLimit = settings.rateLimit;
+    this.cacheFile = settings.cacheFile;
+    this.cacheTtl = settings.cacheTtl;
+
+    // One check per URL per run, shared by every file that links to it
+    this.checks = new Map();
+    // Concurrency pool
+    this.active = 0;
+    this.queue = [];
+    // Earliest time the next request to each host may start
+    this.nextRequestAt = new Map();
+    // url -> { status, checkedAt }
+    this.cache = new Map();
+    this.cacheLoaded = null;
+    this.cacheDirty = false;
+  }
+
+  /**
+   * Check a URL, reusing the result if it was already checked in this run
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<{ok: boolean, status: number|null, reason: string|null, cached: boolean}>}
+   */
+  check(url) {
+    if (!this.checks.has(url)) {
+      this.checks.set(url, this.checkUrl(url));
+    }
+    return this.checks.get(url);
+  }
+
+  /**
+   * Check several URLs concurrently
+   * @param {Iterable<string>} urls - Absolute http(s) URLs
+   * @returns {Promise<Map<string, Object>>} Results keyed by URL
+   */
+  async checkAll(urls) {
+    const unique = [...new Set(urls)];
+    const results = await Promise.all(unique.map((url) => this.check(url)));
+    return new Map(unique.map((url, i) => [url, results[i]]));
+  }
+
+  async checkUrl(url) {
+    await this.loadCache();
+
+    const cached = this.cache.get(url);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtl) {
+      return { ok: true, status: cached.status, reason: null, cached: true };
+    }
+
+    let outcome;
+    for (let attempt = 0; ; attempt++) {
+      outcome = await this.attempt(url);
+      if (outcome.ok || !outcome.retryable || attempt >= this.retries) break;
+      await sleep(outcome.retryAfter ?? this.retryDelay * 2 ** attempt);
+    }
+
+    const { ok, status, reason } = outcome;
+    if (ok && this.cacheFile) {
+      this.cache.set(url, { status, checkedAt: Date.now() });
+      this.cacheDirty = true;
+    }
+    return { ok, status, reason, cached: false };
+  }
+
+  /**
+   * Make one HEAD request, falling back to GET for servers that reject or
+   * mishandle HEAD
+   */
+  async attempt(url) {
+    try {
+      let response = await this.request(url, 'HEAD');
+      if (!response.ok && response.status !== 429) {
+        response = await this.request(url, 'GET');
+      }
+
+      if (response.ok) {
+        return { ok: true, status: response.status, reason: null };
+      }
+      return {
+        ok: false,
+        status: response.status,
+        reason: `${response.status}`,
+        retryable: response.status === 429 || response.status >= 500,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+      };
+    } catch (error) {
+      const reason =
+        error.name === 'TimeoutError'
+          ? `timed out after ${this.timeout}ms`
+          : error.message;
+      return { ok: false, status: null, reason, retryable: true };
+    }
+  }
+
+  async request(url, method) {
+    // Wait out the host's rate limit before taking a slot, so requests to
+    // other hosts can use it meanwhile
+    await this.waitForHost(new URL(url).host);
+    await this.acquire();
+    try {
+      const response = await globalThis.fetch(url, {
+        method,
+        signal: globalThis.AbortSignal.timeout(this.timeout),
+      });
+      // Only the status matters, don't download the body
+      await response.body?.cancel();
+      return response;
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    // The releasing request hands its slot over directly
+    await new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async waitForHost(host) {
+    if (!this.rateLimit) return;
+
+    const now = Date.now();
+    const start = Math.max(now, this.nextRequestAt.get(host) ?? 0);
+    this.nextRequestAt.set(host, start + 1000 / this.rateLimit);
+    if (start > now) {
+      await sleep(start - now);
+    }
+  }
+
+  /**
+   * Load the cache file once, dropping expired entries. A missing or
+   * unreadable cache simply starts empty.
+   */
+  loadCache() {
+    if (!this.cacheLoaded) {
+      this.cacheLoaded = this.readCache();
+    }
+    return this.cacheLoaded;
+  }
+
+  async readCache() {
+    if (!this.cacheFile) return;
+
+    let entries;
+    try {
+      entries = JSON.parse(await fs.readFile(this.cacheFile, 'utf-8'));
+    } catch {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [url, entry] of Object.entries(entries ?? {})) {
+      if (
+        typeof entry?.checkedAt === 'number' &&
+        now - entry.checkedAt < this.cacheTtl
+      ) {
+        this.cache.set(url, entry);
+      } else {
+        this.cacheDirty = true;
+      }
+    }
+  }
+
+  /**
+   * Write new successful checks back to the cache file
+   * @returns {Promise<void>}
+   */
+  async saveCache() {
+    if (!this.cacheFile || !this.cacheDirty) return;
+
+    await fs.mkdir(path.dirname(path.resolve(this.cacheFile)), {
+      recursive: true,
+    });
+    await fs.writeFile(
+      this.cacheFile,
+      `${JSON.stringify(Object.fromEntries(this.cache), null, 2)}\n`,
+      'utf-8'
+    );
+    this.cacheDirty = false;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds)
+    ? Date.parse(value) - Date.now()
+    : seconds * 1000;
+  return Number.isNaN(delay)
+    ? undefined
+    : Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
@@ -0,0 +1,50 @@
+/**
+ * Ignore and allow patterns for link checking. A pattern written as
+ * `/source/flags` is a regular expression; anything else is a glob matched
+ * against the whole URL, where `*` matches any run of characters (including
+ * `/`) and `?` matches a single character.
+ */
+
+/**
+ * Compile an ignore or allow pattern
+ * @param {string} pattern - `/regex/flags` or a glob
+ * @returns {RegExp} Compiled pattern
+ */
+export function compileLinkPattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    try {
+      // Stateful flags would make test() skip matches on later calls
+      return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid link pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a predicate telling whether a URL should be skipped. Allow patterns
+ * win over ignore patterns, so a broad ignore can be narrowed down.
+ * @param {Object} patterns - Link patterns
+ * @param {string[]} patterns.ignore - Patterns of URLs to skip
+ * @param {string[]} patterns.allow - Patterns of URLs to check anyway
+ * @returns {function(string): boolean} Returns true for ignored URLs
+ */
+export function createLinkFilter({ ignore = [], allow = [] } = {}) {
+  const ignored = ignore.map(compileLinkPattern);
+  const allowed = allow.map(compileLinkPattern);
+
+  return (url) =>
+    ignored.some((pattern) => pattern.test(url)) &&
+    !allowed.some((pattern) => pattern.test(url));
+}
@@ -0,0 +1,197 @@
+/**
+ * Machine-readable reports for `md-tree check-links`. Every formatter takes
+ * the link results collected by the CLI:
+ *
+ *   { file, line, column, url, status, reason, rule }
+ *
+ * where status is 'ok', 'failed', 'skipped' or 'warning', and rule is only
+ * set for reference problems (e.g. 'undefined-reference') and images without
+ * alt text ('missing-alt-text'). Formatters return the report as a string.
+ */
+
+export const LINK_REPORT_FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_RULES = [
+  { id: 'broken-link', shortDescription: { text: 'Broken link' } },
+  {
+    id: 'undefined-reference',
+    shortDescription: { text: 'Reference without a definition' },
+  },
+  {
+    id: 'duplicate-definition',
+    shortDescription: { text: 'Definition label defined more than once' },
+  },
+  {
+    id: 'unused-definition',
+    shortDescription: { text: 'Definition that is never referenced' },
+  },
+  {
+    id: 'missing-alt-text',
+    shortDescription: { text: 'Image without alt text' },
+  },
+];
+
+/**
+ * Count results by status
+ * @param {Array<Object>} results - Link results
+ * @returns {{total: number, ok: number, failed: number, skipped: number,
+ *   warning: number}}
+ */
+export function summarizeLinkResults(results) {
+  const summary = {
+    total: results.length,
+    ok: 0,
+    failed: 0,
+    skipped: 0,
+    warning: 0,
+  };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+  return summary;
+}
+
+/**
+ * Format link results as JSON
+ * @param {Array<Object>} results - Link results
+ * @returns {string} JSON report
+ */
+export function formatJsonReport(results) {
+  return JSON.stringify(
+    { summary: summarizeLinkResults(results), links: results },
+    null,
+    2
+  );
+}
+
+/**
+ * Format link results as a JUnit XML report, one test suite per file and one
+ * test case per link
+ * @param {Array<Object>} results - Link results
+ * @returns {string} JUnit XML report
+ */
+export function formatJUnitReport(results) {
+  const files = groupByFile(results);
+  const summary = summarizeLinkResults(results);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="md-tree check-links" tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}">`,
+  ];
+
+  for (const [file, fileResults] of files) {
+    const fileSummary = summarizeLinkResults(fileResults);
+    lines.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${fileSummary.total}" failures="${fileSummary.failed}" skipped="${fileSummary.skipped}">`
+    );
+
+    for (const result of fileResults) {
+      const testcase = `    <testcase classname="${escapeXml(file)}" name="${escapeXml(result.url)}" file="${escapeXml(file)}" line="${result.line}"`;
+      if (result.status === 'failed') {
+        lines.push(
+          `${testcase}>`,
+          `      <failure message="${escapeXml(result.reason)}">${escapeXml(`${file}:${result.line}:${result.column} ${result.url}`)}</failure>`,
+          '    </testcase>'
+        );
+      } else if (result.status === 'skipped') {
+        lines.push(
+          `${testcase}>`,
+          `      <skipped message="${escapeXml(result.reason)}"/>`,
+          '    </testcase>'
+        );
+      } else if (result.status === 'warning') {
+        // JUnit has no warnings, so these pass with the warning as output
+        lines.push(
+          `${testcase}>`,
+          `      <system-out>${escapeXml(`warning: ${result.reason}`)}</system-out>`,
+          '    </testcase>'
+        );
+      } else {
+        lines.push(`${testcase}/>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Format failures and warnings as a SARIF 2.1.0 log for code scanning tools
+ * @param {Array<Object>} results - Link results
+ * @param {Object} options - Report options
+ * @param {string} options.version - md-tree version for the tool driver
+ * @param {boolean} options.warnOnly - Report failures as warnings
+ * @returns {string} SARIF report
+ */
+export function formatSarifReport(
+  results,
+  { version = 'unknown', warnOnly = false } = {}
+) {
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'md-tree',
+            version,
+            rules: SARIF_RULES,
+          },
+        },
+        results: results
+          .filter(
+            (result) =>
+              result.status === 'failed' || result.status === 'warning'
+          )
+          .map((result) => ({
+            ruleId: result.rule ?? 'broken-link',
+            level:
+              warnOnly || result.status === 'warning' ? 'warning' : 'error',
+            message: { text: `${result.url}: ${result.reason}` },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: toUri(result.file) },
+                  region: {
+                    startLine: result.line,
+                    startColumn: result.column,
+                  },
+                },
+              },
+            ],
+          })),
+      },
+    ],
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+function groupByFile(results) {
+  const files = new Map();
+  for (const result of results) {
+    if (!files.has(result.file)) {
+      files.set(result.file, []);
+    }
+    files.get(result.file).push(result);
+  }
+  return files;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// SARIF artifact locations are URIs, so Windows separators must be converted
+function toUri(file) {
+  return file.split('\\').join('/');
+}
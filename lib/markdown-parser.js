@@ -1,27 +1,139 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
 import { unified } from 'unified';
 import remarkParse from 'remark-parse';
 import remarkStringify from 'remark-stringify';
+import remarkGfm from 'remark-gfm';
+import remarkFrontmatter from 'remark-frontmatter';
+import YAML from 'yaml';
+import * as TOML from 'smol-toml';
+import { Slugger, slugify } from './slugger.js';
 import { visit } from 'unist-util-visit';
 import { selectAll, select } from 'unist-util-select';
 import { find } from 'unist-util-find';
 
+// Nodes whose text may contain an unresolved `[text][label]`
+const REFERENCE_CONTAINERS = new Set(['paragraph', 'heading', 'tableCell']);
+// Inline nodes that can't contain one, or already are a resolved link
+const MASKED_INLINE = new Set([
+  'inlineCode',
+  'html',
+  'link',
+  'linkReference',
+  'image',
+  'imageReference',
+  'footnoteReference',
+]);
+// Full `[text][label]` and collapsed `[label][]` references
+const UNDEFINED_REFERENCE =
+  /(?<!\\)!?\[((?:\\.|[^[\]\\])+)\]\[((?:\\.|[^[\]\\])*)\]/g;
+
+// `<!-- include: ./file.md -->` or `<!-- include: ./file.md#Section -->`
+const INCLUDE_DIRECTIVE = /^<!--\s*include:\s*(\S+)\s*-->$/;
+// Block containers an include directive may appear in
+const FLOW_CONTAINERS = new Set([
+  'root',
+  'blockquote',
+  'list',
+  'listItem',
+  'footnoteDefinition',
+]);
+
+function pointOf(node) {
+  const { line, column } = node.position.start;
+  return { line, column };
+}
+
+function offsetToPoint(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Thrown when a section address matches more than one section
+ */
+export class AmbiguousSectionError extends Error {
+  /**
+   * @param {string} address - The section address that was looked up
+   * @param {Array} matches - Matching sections, each with a `path` string
+   */
+  constructor(address, matches) {
+    const list = matches
+      .map((match) => `  - ${match.path} (line ${match.section.lines.start})`)
+      .join('\n');
+    super(`Section "${address}" is ambiguous, it matches:\n${list}`);
+    this.name = 'AmbiguousSectionError';
+    this.address = address;
+    this.matches = matches;
+  }
+}
+
 /**
  * A powerful markdown parser that treats markdown as a manipulable tree structure
  * Built on top of the remark/unified ecosystem
  */
 export class MarkdownTreeParser {
   constructor(options = {}) {
+    const {
+      gfm = false,
+      frontmatter = true,
+      slugDialect = 'github',
+      plugins = [],
+      ...stringifyOptions
+    } = options;
+
+    // Enable GitHub Flavored Markdown (tables, task lists, strikethrough,
+    // autolink literals and footnotes)
+    this.gfm = gfm;
+
+    // Anchor style for heading slugs (see lib/slugger.js)
+    this.slugDialect = slugDialect;
+
+    // Extra unified plugins: `plugin` or `[plugin, options]`
+    this.plugins = plugins;
+
+    // Frontmatter formats recognized at the top of a document
+    this.frontmatter =
+      frontmatter === true ? ['yaml', 'toml'] : frontmatter || [];
+
     this.options = {
       // Default remark-stringify options
       bullet: '*',
       emphasis: '*',
       strong: '*',
-      ...options,
+      ...stringifyOptions,
     };
 
-    this.processor = unified()
-      .use(remarkParse)
-      .use(remarkStringify, this.options);
+    this.processor = this.createProcessor();
+  }
+
+  /**
+   * Build the unified pipeline used for both parsing and stringifying
+   * @returns {Object} Configured unified processor
+   */
+  createProcessor() {
+    const processor = unified().use(remarkParse);
+
+    if (this.frontmatter.length > 0) {
+      processor.use(remarkFrontmatter, this.frontmatter);
+    }
+
+    if (this.gfm) {
+      processor.use(remarkGfm);
+    }
+
+    // Syntax extensions apply to both parsing and stringifying, and
+    // transformers run on every parsed tree
+    for (const plugin of this.plugins) {
+      if (Array.isArray(plugin)) {
+        processor.use(...plugin);
+      } else {
+        processor.use(plugin);
+      }
+    }
+
+    return processor.use(remarkStringify, this.options);
   }
 
   /**
@@ -30,84 +142,149 @@ export class MarkdownTreeParser {
    * @returns {Promise<Object>} The parsed AST tree
    */
   async parse(markdownText) {
-    const file = await this.processor.process(markdownText);
-    return file.data.tree || this.processor.parse(markdownText);
+    const tree = this.processor.parse(markdownText);
+    return await this.processor.run(tree);
   }
 
   /**
    * Convert AST back to markdown text
    * @param {Object} tree - The AST tree to stringify
+   * @param {Object} options - Options
+   * @param {string} options.source - Markdown the tree was parsed from. When
+   *   given, unchanged top-level nodes are copied verbatim from the source
+   *   and only changed or new nodes are re-serialized (see stringifyLossless)
    * @returns {Promise<string>} The markdown string
    */
-  async stringify(tree) {
+  async stringify(tree, { source = null } = {}) {
+    if (source !== null) {
+      return await this.stringifyLossless(tree, source);
+    }
+
     // Create a deep copy of the tree to avoid mutation issues
     const treeCopy = JSON.parse(JSON.stringify(tree));
-    const result = await unified()
-      .use(remarkStringify, this.options)
-      .stringify(treeCopy);
+    // Reuse the configured processor so syntax extensions (like GFM) can
+    // serialize their own node types
+    const result = await this.processor.stringify(treeCopy);
     return result;
   }
 
   /**
-   * Find a specific heading and return it with all its content until the next same-level heading
-   * @param {Object} tree - The AST tree to search
-   * @param {string} headingText - Text to search for in headings
-   * @param {number|null} level - Optional specific heading level to match
-   * @returns {Object|null} New tree containing the section, or null if not found
+   * Convert AST back to markdown by splicing the original source. A top-level
+   * node is reused byte-for-byte when it is identical (including position) to
+   * the node parsed from the source at the same offset; runs of new or edited
+   * nodes are serialized with remark. Whitespace between two reused nodes
+   * that were adjacent in the source is kept as-is.
+   * @param {Object} tree - The AST tree to stringify
+   * @param {string} source - Markdown the tree was originally parsed from
+   * @returns {Promise<string>} The markdown string
    */
-  extractSection(tree, headingText, level = null) {
-    let foundHeading = null;
-    let startIndex = -1;
-    let endIndex = -1;
-    let exactMatch = null;
-    let exactMatchIndex = -1;
+  async stringifyLossless(tree, source) {
+    const original = await this.parse(source);
+    // Transformer plugins may add nodes that were not parsed from the source
+    const parsed = original.children.filter((node) => node.position);
+    const originalByOffset = new Map(
+      parsed.map((node) => [node.position.start.offset, node])
+    );
+    const firstOriginal = parsed[0];
+    const lastOriginal = parsed[parsed.length - 1];
 
-    // Find the target heading - prefer exact matches over partial matches
-    for (let i = 0; i < tree.children.length; i++) {
-      const node = tree.children[i];
-      if (node.type === 'heading') {
-        const nodeText = this.getHeadingText(node);
-        const lowerNodeText = nodeText.toLowerCase();
-        const lowerSearchText = headingText.toLowerCase();
-
-        if (level === null || node.depth === level) {
-          // Check for exact match first
-          if (lowerNodeText === lowerSearchText) {
-            exactMatch = node;
-            exactMatchIndex = i;
-          } else if (lowerNodeText.includes(lowerSearchText) && !foundHeading) {
-            // Only use partial match if no exact match found yet and no other partial match
-            foundHeading = node;
-            startIndex = i;
-          }
-        }
+    const isUnchanged = (node) =>
+      Boolean(node.position) &&
+      JSON.stringify(node) ===
+        JSON.stringify(originalByOffset.get(node.position.start.offset));
+
+    // Group consecutive nodes into runs that are either all reused or all
+    // re-serialized, so remark can join changed nodes (e.g. adjacent lists)
+    const runs = [];
+    for (const node of tree.children) {
+      const unchanged = isUnchanged(node);
+      const last = runs[runs.length - 1];
+      if (last && !last.unchanged && !unchanged) {
+        last.nodes.push(node);
+      } else {
+        runs.push({ unchanged, nodes: [node] });
       }
     }
 
-    // Prefer exact match over partial match
-    if (exactMatch) {
-      foundHeading = exactMatch;
-      startIndex = exactMatchIndex;
+    let output = '';
+    let previous = null;
+
+    for (const run of runs) {
+      const [node] = run.nodes;
+
+      if (previous === null) {
+        // Keep leading whitespace only if the document still starts the same way
+        if (
+          run.unchanged &&
+          node.position.start.offset === firstOriginal?.position.start.offset
+        ) {
+          output += source.slice(0, node.position.start.offset);
+        }
+      } else {
+        const gap =
+          run.unchanged && previous.unchanged
+            ? source.slice(
+                previous.node.position.end.offset,
+                node.position.start.offset
+              )
+            : null;
+        const adjacent =
+          gap !== null &&
+          previous.node.position.end.offset <= node.position.start.offset &&
+          gap.trim() === '';
+        output += adjacent ? gap : '\n\n';
+      }
+
+      if (run.unchanged) {
+        output += source.slice(
+          node.position.start.offset,
+          node.position.end.offset
+        );
+        previous = { unchanged: true, node };
+      } else {
+        const text = await this.stringify({
+          type: 'root',
+          children: run.nodes,
+        });
+        output += text.trimEnd();
+        previous = { unchanged: false, node: run.nodes[run.nodes.length - 1] };
+      }
     }
 
-    if (!foundHeading || startIndex === -1) {
-      return null;
+    if (previous === null) {
+      return '';
     }
 
-    // Find where this section ends (next heading of same or higher level)
-    const targetDepth = foundHeading.depth;
-    for (let i = startIndex + 1; i < tree.children.length; i++) {
-      const node = tree.children[i];
-      if (node.type === 'heading' && node.depth <= targetDepth) {
-        endIndex = i;
-        break;
-      }
+    // Likewise keep trailing whitespace only if the document ends the same way
+    const isOriginalEnd =
+      previous.unchanged &&
+      previous.node.position.start.offset ===
+        lastOriginal?.position.start.offset;
+    return (
+      output +
+      (isOriginalEnd ? source.slice(previous.node.position.end.offset) : '\n')
+    );
+  }
+
+  /**
+   * Find a specific heading and return it with all its content until the next same-level heading
+   * @param {Object} tree - The AST tree to search
+   * @param {string} headingText - Section address (see resolveSection)
+   * @param {number|null} level - Optional specific heading level to match
+   * @returns {Object|null} New tree containing the section, or null if not found
+   * @throws {AmbiguousSectionError} If the address matches several sections
+   */
+  extractSection(tree, headingText, level = null) {
+    const section = this.resolveSection(tree, headingText, level);
+
+    if (!section) {
+      return null;
     }
 
     // Create a new tree with just this section
     const sectionNodes = tree.children.slice(
-      startIndex,
-      endIndex === -1 ? undefined : endIndex
+      section.startIndex,
+      section.endIndex
     );
 
     // Create deep copies to avoid node reference issues
@@ -119,6 +296,447 @@ export class MarkdownTreeParser {
     };
   }
 
+  /**
+   * Find the single section matching an address. Addresses can be:
+   * - heading text, matched case-insensitively (exact matches win over substrings)
+   * - a slug such as "#installation"
+   * - a path of the above separated by ">", such as "Usage > Advanced Usage"
+   * - an ordinal such as "2.3" (third subsection of the second section; a
+   *   lone top-level title is skipped so "2" is the second "##" section)
+   * @param {Object} tree - The AST tree to search
+   * @param {string} address - Section address
+   * @param {number|null} level - Optional specific heading level to match
+   * @returns {Object|null} Section object (see getSectionTree) or null if not found
+   * @throws {AmbiguousSectionError} If the address matches several sections
+   */
+  resolveSection(tree, address, level = null) {
+    const matches = this.findSections(tree, address, level);
+
+    if (matches.length > 1) {
+      throw new AmbiguousSectionError(address, matches);
+    }
+
+    return matches.length === 1 ? matches[0].section : null;
+  }
+
+  /**
+   * Find every section matching an address (see resolveSection)
+   * @param {Object} tree - The AST tree to search
+   * @param {string} address - Section address
+   * @param {number|null} level - Optional specific heading level to match
+   * @returns {Array} Matches, each with the `section` and its `path` from the root
+   */
+  findSections(tree, address, level = null) {
+    const roots = this.getSectionTree(tree);
+    const all = this.flattenSections(roots);
+    const byLevel = (entries) =>
+      level === null
+        ? entries
+        : entries.filter((entry) => entry.section.depth === level);
+
+    // Literal heading text always wins, even if it looks like a path or ordinal
+    const trimmed = address.trim();
+    const literal = byLevel(
+      all.filter(
+        (entry) => entry.section.text.toLowerCase() === trimmed.toLowerCase()
+      )
+    );
+    if (literal.length > 0) {
+      return literal;
+    }
+
+    if (/^\d+(\.\d+)*$/.test(trimmed)) {
+      return byLevel(this.findSectionByOrdinal(roots, trimmed));
+    }
+
+    const segments = trimmed.split(/\s*>\s*/).filter(Boolean);
+    const scopeOf = (i) =>
+      i === segments.length - 1 ? byLevel : (entries) => entries;
+    let matched =
+      segments.length > 0
+        ? this.matchSectionSegment(scopeOf(0)(all), segments[0])
+        : [];
+
+    for (let i = 1; i < segments.length && matched.length > 0; i++) {
+      // Later segments match the direct subsections of everything matched so
+      // far, so the paths AmbiguousSectionError lists pick out one section.
+      // Deeper descendants are only searched if no subsection matches.
+      const children = matched.flatMap((entry) =>
+        entry.section.children.map((section) => ({
+          section,
+          path: `${entry.path} > ${section.text}`,
+        }))
+      );
+      const direct = this.matchSectionSegment(
+        scopeOf(i)(children),
+        segments[i]
+      );
+      matched =
+        direct.length > 0
+          ? direct
+          : this.matchSectionSegment(
+              scopeOf(i)(
+                matched.flatMap((entry) =>
+                  this.flattenSections(entry.section.children, entry.path)
+                )
+              ),
+              segments[i]
+            );
+    }
+
+    return matched;
+  }
+
+  /**
+   * Flatten a section tree into a list of sections with their paths
+   * @param {Array} sections - Sections from getSectionTree
+   * @param {string|null} parentPath - Path of the parent section
+   * @returns {Array} Entries with `section` and `path` properties, in document order
+   */
+  flattenSections(sections, parentPath = null) {
+    const entries = [];
+    for (const section of sections) {
+      const sectionPath = parentPath
+        ? `${parentPath} > ${section.text}`
+        : section.text;
+      entries.push({ section, path: sectionPath });
+      entries.push(...this.flattenSections(section.children, sectionPath));
+    }
+    return entries;
+  }
+
+  /**
+   * Match one segment of a section path against a list of sections
+   * @param {Array} entries - Candidate entries from flattenSections
+   * @param {string} segment - Heading text or "#slug"
+   * @returns {Array} Matching entries (exact matches preferred over substrings)
+   */
+  matchSectionSegment(entries, segment) {
+    if (segment.startsWith('#')) {
+      const slug = segment.slice(1).toLowerCase();
+      return entries.filter((entry) => entry.section.slug === slug);
+    }
+
+    const text = segment.toLowerCase();
+    const exact = entries.filter(
+      (entry) => entry.section.text.toLowerCase() === text
+    );
+    if (exact.length > 0) {
+      return exact;
+    }
+
+    return entries.filter((entry) =>
+      entry.section.text.toLowerCase().includes(text)
+    );
+  }
+
+  /**
+   * Find a section by its outline ordinal, such as "2.3"
+   * @param {Array} roots - Top-level sections from getSectionTree
+   * @param {string} ordinal - Dot-separated 1-based positions
+   * @returns {Array} Zero or one matching entries
+   */
+  findSectionByOrdinal(roots, ordinal) {
+    // Documents with a single title number their "##" sections from 1
+    const hasSingleTitle = roots.length === 1 && roots[0].depth === 1;
+    let sections = hasSingleTitle ? roots[0].children : roots;
+    let sectionPath = hasSingleTitle ? roots[0].text : null;
+    let section = null;
+
+    for (const position of ordinal.split('.')) {
+      section = sections[Number.parseInt(position, 10) - 1];
+      if (!section) {
+        return [];
+      }
+      sectionPath = sectionPath
+        ? `${sectionPath} > ${section.text}`
+        : section.text;
+      sections = section.children;
+    }
+
+    return [{ section, path: sectionPath }];
+  }
+
+  /**
+   * Replace a section (heading, content and subsections) with new content
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Section address (see resolveSection)
+   * @param {Object|Array} replacement - Root node or array of nodes to insert
+   * @param {Object} options - Options
+   * @param {boolean} options.keepSubsections - Only replace the heading and
+   *   the content before the first subsection (default: false)
+   * @returns {Object|null} The modified tree, or null if the section was not found
+   */
+  replaceSection(tree, address, replacement, { keepSubsections = false } = {}) {
+    const section = this.resolveSection(tree, address);
+    if (!section) {
+      return null;
+    }
+
+    const end = keepSubsections
+      ? section.startIndex + 1 + section.content.length
+      : section.endIndex;
+    tree.children.splice(
+      section.startIndex,
+      end - section.startIndex,
+      ...this.toNodes(replacement)
+    );
+    return tree;
+  }
+
+  /**
+   * Insert content immediately before a section
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Section address (see resolveSection)
+   * @param {Object|Array} content - Root node or array of nodes to insert
+   * @returns {Object|null} The modified tree, or null if the section was not found
+   */
+  insertSectionBefore(tree, address, content) {
+    const section = this.resolveSection(tree, address);
+    if (!section) {
+      return null;
+    }
+
+    tree.children.splice(section.startIndex, 0, ...this.toNodes(content));
+    return tree;
+  }
+
+  /**
+   * Insert content after a section, including all of its subsections
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Section address (see resolveSection)
+   * @param {Object|Array} content - Root node or array of nodes to insert
+   * @returns {Object|null} The modified tree, or null if the section was not found
+   */
+  insertSectionAfter(tree, address, content) {
+    const section = this.resolveSection(tree, address);
+    if (!section) {
+      return null;
+    }
+
+    tree.children.splice(section.endIndex, 0, ...this.toNodes(content));
+    return tree;
+  }
+
+  /**
+   * Append content to a section's own body, before its first subsection
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Section address (see resolveSection)
+   * @param {Object|Array} content - Root node or array of nodes to append
+   * @returns {Object|null} The modified tree, or null if the section was not found
+   */
+  appendToSection(tree, address, content) {
+    const section = this.resolveSection(tree, address);
+    if (!section) {
+      return null;
+    }
+
+    const index = section.startIndex + 1 + section.content.length;
+    tree.children.splice(index, 0, ...this.toNodes(content));
+    return tree;
+  }
+
+  /**
+   * Remove a section together with its subsections
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Section address (see resolveSection)
+   * @returns {Object|null} The modified tree, or null if the section was not found
+   */
+  removeSection(tree, address) {
+    const section = this.resolveSection(tree, address);
+    if (!section) {
+      return null;
+    }
+
+    tree.children.splice(
+      section.startIndex,
+      section.endIndex - section.startIndex
+    );
+    return tree;
+  }
+
+  /**
+   * Move a section (with its subsections) next to another section. Heading
+   * levels are shifted so the moved section sits at the target's level.
+   * @param {Object} tree - The AST tree to modify
+   * @param {string} address - Address of the section to move
+   * @param {string} targetAddress - Address of the section to move next to
+   * @param {Object} options - Options
+   * @param {string} options.position - 'before' or 'after' the target (default: 'after')
+   * @returns {Object|null} The modified tree, or null if either section was not found
+   */
+  moveSection(tree, address, targetAddress, { position = 'after' } = {}) {
+    const section = this.resolveSection(tree, address);
+    const target = this.resolveSection(tree, targetAddress);
+    if (!section || !target) {
+      return null;
+    }
+
+    if (
+      target.startIndex >= section.startIndex &&
+      target.startIndex < section.endIndex
+    ) {
+      throw new Error(
+        `Cannot move section "${section.text}" relative to itself or one of its subsections`
+      );
+    }
+
+    const count = section.endIndex - section.startIndex;
+    const nodes = tree.children.splice(section.startIndex, count);
+    const shift = target.depth - section.depth;
+    for (const node of nodes) {
+      if (node.type === 'heading' && shift !== 0) {
+        node.depth = Math.min(6, Math.max(1, node.depth + shift));
+      }
+    }
+
+    let index = position === 'before' ? target.startIndex : target.endIndex;
+    if (index > section.startIndex) {
+      index -= count;
+    }
+    tree.children.splice(index, 0, ...nodes);
+    return tree;
+  }
+
+  /**
+   * Replace include directives with the file or section they name. A
+   * directive is an HTML comment on its own, `<!-- include: ./common.md -->`
+   * or `<!-- include: ./common.md#Support -->`, where the fragment is a
+   * section address (see resolveSection). Included files may include others,
+   * relative to themselves. Headings of included content are shifted to nest
+   * under the heading the directive appears under.
+   * @param {Object} tree - The AST tree, modified in place
+   * @param {string} baseDir - Directory include paths are relative to
+   * @param {Object} options - Options
+   * @param {string|null} options.filePath - Path of the document itself, so
+   *   including it is reported as a cycle
+   * @returns {Promise<Object>} The tree
+   * @throws {Error} If a file or section is not found, or includes form a
+   *   cycle
+   */
+  async resolveIncludes(tree, baseDir, { filePath = null } = {}) {
+    const chain = filePath ? [path.resolve(filePath)] : [];
+    await this.resolveIncludesIn(tree, path.resolve(baseDir), chain, 0);
+    return tree;
+  }
+
+  /**
+   * Resolve the include directives among the children of a node
+   * @param {Object} parent - Node whose children are resolved
+   * @param {string} baseDir - Absolute directory include paths are relative to
+   * @param {string[]} chain - Files (and sections) being included, outermost
+   *   first
+   * @param {number} depth - Level of the heading the children are under
+   */
+  async resolveIncludesIn(parent, baseDir, chain, depth) {
+    for (let index = 0; index < parent.children.length; index++) {
+      const node = parent.children[index];
+      const match =
+        node.type === 'html' && INCLUDE_DIRECTIVE.exec(node.value.trim());
+
+      if (node.type === 'heading' && parent.type === 'root') {
+        depth = node.depth;
+      } else if (match) {
+        const nodes = await this.loadInclude(match[1], baseDir, chain, depth);
+        parent.children.splice(index, 1, ...nodes);
+        index += nodes.length - 1;
+      } else if (FLOW_CONTAINERS.has(node.type)) {
+        await this.resolveIncludesIn(node, baseDir, chain, depth);
+      }
+    }
+  }
+
+  /**
+   * Load the nodes an include directive stands for
+   * @param {string} target - Path with an optional `#section` fragment
+   * @param {string} baseDir - Absolute directory the path is relative to
+   * @param {string[]} chain - Files (and sections) being included
+   * @param {number} depth - Level of the heading the directive is under
+   * @returns {Promise<Array>} Nodes to insert, without positions
+   */
+  async loadInclude(target, baseDir, chain, depth) {
+    const hash = target.indexOf('#');
+    const file = hash === -1 ? target : target.slice(0, hash);
+    let address = null;
+    if (hash !== -1) {
+      try {
+        address = decodeURIComponent(target.slice(hash + 1));
+      } catch (error) {
+        throw new Error(`Cannot include ${target}: ${error.message}`);
+      }
+    }
+    const filePath = path.resolve(baseDir, file);
+    const key = address === null ? filePath : `${filePath}#${address}`;
+
+    if (chain.includes(key)) {
+      const cycle = [...chain, key].map((entry) =>
+        path.relative(process.cwd(), entry)
+      );
+      throw new Error(`Include cycle: ${cycle.join(' → ')}`);
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new Error(
+        `Cannot include ${target}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`
+      );
+    }
+
+    let included = await this.parse(content);
+    included.children = included.children.filter(
+      (node) => node.type !== 'yaml' && node.type !== 'toml'
+    );
+    if (address !== null) {
+      // Fragments may be heading text or a slug
+      included =
+        this.extractSection(included, address) ??
+        this.extractSection(included, `#${address}`);
+      if (!included) {
+        throw new Error(
+          `Cannot include ${target}: section "${address}" not found`
+        );
+      }
+    }
+
+    await this.resolveIncludesIn(
+      included,
+      path.dirname(filePath),
+      [...chain, key],
+      0
+    );
+
+    // Nest the included headings under the directive's heading
+    const headings = this.selectAll(included, 'heading');
+    if (depth > 0 && headings.length > 0) {
+      const shift = depth + 1 - Math.min(...headings.map((node) => node.depth));
+      for (const node of headings) {
+        node.depth = Math.min(6, Math.max(1, node.depth + shift));
+      }
+    }
+
+    // Positions refer to the included file, not to the document
+    visit(included, (node) => {
+      delete node.position;
+    });
+    return included.children;
+  }
+
+  /**
+   * Normalize content passed to the section mutation methods
+   * @param {Object|Array} content - Root node, single node or array of nodes
+   * @returns {Array} Deep copies of the nodes
+   */
+  toNodes(content) {
+    const nodes = Array.isArray(content)
+      ? content
+      : content.type === 'root'
+        ? content.children
+        : [content];
+    return JSON.parse(JSON.stringify(nodes));
+  }
+
   /**
    * Extract all sections at a specific heading level
    * @param {Object} tree - The AST tree to process
@@ -241,6 +859,106 @@ export class MarkdownTreeParser {
     return text;
   }
 
+  /**
+   * Find the frontmatter node of a document
+   * @param {Object} tree - The AST tree to search
+   * @returns {Object|null} The `yaml` or `toml` node, or null if none
+   */
+  getFrontmatterNode(tree) {
+    const first = tree.children[0];
+    if (first && (first.type === 'yaml' || first.type === 'toml')) {
+      return first;
+    }
+    return null;
+  }
+
+  /**
+   * Get the parsed frontmatter of a document
+   * @param {Object} tree - The AST tree to read
+   * @returns {Object|null} Parsed frontmatter data, or null if none
+   */
+  getFrontmatter(tree) {
+    const node = this.getFrontmatterNode(tree);
+    if (!node) {
+      return null;
+    }
+
+    const data =
+      node.type === 'toml' ? TOML.parse(node.value) : YAML.parse(node.value);
+    return data ?? {};
+  }
+
+  /**
+   * Replace, insert or remove the frontmatter of a document
+   * @param {Object} tree - The AST tree to modify
+   * @param {Object|null} data - Frontmatter data, or null to remove it
+   * @param {string|null} format - 'yaml' or 'toml' (default: keep the existing format, else yaml)
+   * @returns {Object} The modified tree
+   */
+  setFrontmatter(tree, data, format = null) {
+    const existing = this.getFrontmatterNode(tree);
+
+    if (data === null) {
+      if (existing) {
+        tree.children.shift();
+      }
+      return tree;
+    }
+
+    const type = format || existing?.type || 'yaml';
+    const value = type === 'toml' ? TOML.stringify(data) : YAML.stringify(data);
+    const node = { type, value: value.trimEnd() };
+
+    if (existing) {
+      tree.children[0] = node;
+    } else {
+      tree.children.unshift(node);
+    }
+    return tree;
+  }
+
+  /**
+   * Set one value in the frontmatter, adding YAML frontmatter if there is
+   * none. YAML is edited in place, so comments, flow collections like
+   * `[a, b]` and the other keys stay as they were written.
+   * @param {Object} tree - The AST tree to modify
+   * @param {string[]} keys - Path of the value, e.g. ['author', 'name'];
+   *   values in the way that are not objects are replaced by objects
+   * @param {*} value - Value to set
+   * @returns {Object} The modified tree
+   */
+  setFrontmatterValue(tree, keys, value) {
+    const existing = this.getFrontmatterNode(tree);
+    const doc =
+      existing?.type === 'yaml' ? YAML.parseDocument(existing.value) : null;
+
+    if (doc && (doc.contents === null || YAML.isMap(doc.contents))) {
+      for (let i = 1; i < keys.length; i++) {
+        if (!YAML.isCollection(doc.getIn(keys.slice(0, i), true))) {
+          doc.setIn(keys.slice(0, i), doc.createNode({}));
+        }
+      }
+      doc.setIn(keys, value);
+      tree.children[0] = {
+        type: 'yaml',
+        value: doc.toString({ flowCollectionPadding: false }).trimEnd(),
+      };
+      return tree;
+    }
+
+    // TOML (and YAML that is not a mapping) is written out again
+    const data = this.getFrontmatter(tree) ?? {};
+    let current = data;
+    for (const key of keys.slice(0, -1)) {
+      if (current[key] === null || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+    return this.setFrontmatter(tree, data);
+  }
+
   /**
    * Transform tree by visiting nodes with a custom function
    * @param {Object} tree - The AST tree to transform
@@ -255,20 +973,99 @@ export class MarkdownTreeParser {
   /**
    * Get a flat list of all headings with their levels and text
    * @param {Object} tree - The AST tree to analyze
-   * @returns {Array} Array of heading objects with level, text, and node properties
+   * @returns {Array} Array of heading objects with level, text, slug (unique
+   *   within the document), and node properties
    */
   getHeadingsList(tree) {
     const headings = [];
+    const slugger = this.createSlugger();
     visit(tree, 'heading', (node) => {
+      const text = this.getHeadingText(node);
       headings.push({
         level: node.depth,
-        text: this.getHeadingText(node),
+        text,
+        slug: slugger.slug(text),
         node: node,
       });
     });
     return headings;
   }
 
+  /**
+   * Build a nested outline of the document's sections
+   * @param {Object} tree - The AST tree to analyze
+   * @returns {Array} Top-level section objects, each with heading, text, depth,
+   *   slug, content (nodes before the first subsection), children, the
+   *   source line range in `lines` and the range of `tree.children` it covers
+   *   in `startIndex`/`endIndex` (end exclusive)
+   */
+  getSectionTree(tree) {
+    const roots = [];
+    const stack = [];
+    const slugger = this.createSlugger();
+
+    tree.children.forEach((node, index) => {
+      if (node.type === 'heading') {
+        while (
+          stack.length > 0 &&
+          stack[stack.length - 1].depth >= node.depth
+        ) {
+          stack.pop();
+        }
+
+        const text = this.getHeadingText(node);
+        const section = {
+          heading: node,
+          text,
+          depth: node.depth,
+          slug: slugger.slug(text),
+          content: [],
+          children: [],
+          lines: {
+            start: node.position?.start.line ?? null,
+            end: node.position?.end.line ?? null,
+          },
+          startIndex: index,
+          endIndex: index + 1,
+        };
+
+        const parent = stack[stack.length - 1];
+        (parent ? parent.children : roots).push(section);
+        stack.push(section);
+      } else if (stack.length > 0) {
+        stack[stack.length - 1].content.push(node);
+      }
+
+      // A node extends the range of every section that contains it
+      for (const section of stack) {
+        section.endIndex = index + 1;
+        if (node.position) {
+          section.lines.end = node.position.end.line;
+        }
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Create a URL anchor slug from heading text, without duplicate numbering
+   * @param {string} text - Heading text
+   * @returns {string} Slug suitable for a `#fragment`
+   */
+  createSlug(text) {
+    return slugify(text, this.slugDialect);
+  }
+
+  /**
+   * Create a slugger that numbers duplicate headings like the configured
+   * dialect does; use one per document
+   * @returns {Slugger} New slugger instance
+   */
+  createSlugger() {
+    return new Slugger(this.slugDialect);
+  }
+
   /**
    * Extract everything under a specific heading level down to a certain depth
    * @param {Object} tree - The AST tree to search
@@ -334,6 +1131,10 @@ export class MarkdownTreeParser {
       lists: 0,
       links: 0,
       images: 0,
+      tables: 0,
+      taskListItems: { total: 0, checked: 0 },
+      strikethrough: 0,
+      footnotes: 0,
       wordCount: 0,
     };
 
@@ -353,6 +1154,24 @@ export class MarkdownTreeParser {
         case 'list':
           stats.lists++;
           break;
+        case 'listItem':
+          // GFM task list items carry a boolean `checked` property
+          if (typeof node.checked === 'boolean') {
+            stats.taskListItems.total++;
+            if (node.checked) {
+              stats.taskListItems.checked++;
+            }
+          }
+          break;
+        case 'table':
+          stats.tables++;
+          break;
+        case 'delete':
+          stats.strikethrough++;
+          break;
+        case 'footnoteDefinition':
+          stats.footnotes++;
+          break;
         case 'link':
           stats.links++;
           break;
@@ -371,34 +1190,190 @@ export class MarkdownTreeParser {
     return stats;
   }
 
+  /**
+   * Find reference-style link problems: references without a definition,
+   * definitions nobody references, and labels defined more than once.
+   * Undefined references are not parsed as links, so they are found by
+   * scanning the source of each paragraph, heading and table cell.
+   * @param {Object} tree - The AST tree to analyze
+   * @param {string} source - The markdown the tree was parsed from
+   * @returns {Array<Object>} Problems in document order, each with `type`
+   *   ('undefined-reference', 'unused-definition' or 'duplicate-definition'),
+   *   `label`, `line` and `column`; duplicates also have `firstLine`
+   */
+  findReferenceProblems(tree, source) {
+    const problems = [];
+    const definitions = new Map();
+    const referenced = new Set();
+
+    visit(tree, (node) => {
+      if (node.type === 'linkReference' || node.type === 'imageReference') {
+        referenced.add(node.identifier);
+      } else if (node.type === 'definition') {
+        const first = definitions.get(node.identifier);
+        if (first) {
+          problems.push({
+            type: 'duplicate-definition',
+            label: node.label,
+            ...pointOf(node),
+            firstLine: first.position.start.line,
+          });
+        } else {
+          definitions.set(node.identifier, node);
+        }
+      }
+    });
+
+    for (const [identifier, node] of definitions) {
+      if (!referenced.has(identifier)) {
+        problems.push({
+          type: 'unused-definition',
+          label: node.label,
+          ...pointOf(node),
+        });
+      }
+    }
+
+    visit(tree, (node) => {
+      if (!REFERENCE_CONTAINERS.has(node.type) || !node.position) return;
+
+      // Blank out code, HTML and links that did resolve, keeping offsets
+      const start = node.position.start.offset;
+      const text = source.slice(start, node.position.end.offset).split('');
+      visit(node, (child) => {
+        if (child !== node && MASKED_INLINE.has(child.type) && child.position) {
+          for (
+            let i = child.position.start.offset;
+            i < child.position.end.offset;
+            i++
+          ) {
+            text[i - start] = ' ';
+          }
+        }
+      });
+
+      for (const match of text.join('').matchAll(UNDEFINED_REFERENCE)) {
+        problems.push({
+          type: 'undefined-reference',
+          label: match[2] || match[1],
+          ...offsetToPoint(source, start + match.index),
+        });
+      }
+    });
+
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
   /**
    * Create a table of contents from the document
    * @param {Object} tree - The AST tree to process
    * @param {number} maxLevel - Maximum heading level to include (default: 3)
+   * @param {Object} options - Options
+   * @param {string|null} options.title - Heading text to put above the list,
+   *   or null for the list only (default: 'Table of Contents')
+   * @param {Array} options.exclude - Heading nodes to leave out
    * @returns {string} Markdown table of contents
    */
-  generateTableOfContents(tree, maxLevel = 3) {
+  generateTableOfContents(
+    tree,
+    maxLevel = 3,
+    { title = 'Table of Contents', exclude = [] } = {}
+  ) {
     const headings = this.getHeadingsList(tree);
-    const filteredHeadings = headings.filter((h) => h.level <= maxLevel);
+    const filteredHeadings = headings.filter(
+      (h) => h.level <= maxLevel && !exclude.includes(h.node)
+    );
 
     if (filteredHeadings.length === 0) {
       return '';
     }
 
-    let toc = '## Table of Contents\n\n';
+    let toc = title ? `## ${title}\n\n` : '';
 
-    for (const heading of filteredHeadings) {
-      const indent = '  '.repeat(heading.level - 1);
-      const link = heading.text
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .replace(/^-|-$/g, '');
+    // Indent relative to the shallowest heading so the list never starts
+    // deep enough to become an indented code block
+    const minLevel = Math.min(...filteredHeadings.map((h) => h.level));
 
-      toc += `${indent}- [${heading.text}](#${link})\n`;
+    for (const heading of filteredHeadings) {
+      const indent = '  '.repeat(heading.level - minLevel);
+      toc += `${indent}- [${heading.text}](#${heading.slug})\n`;
     }
 
     return toc;
   }
+
+  /**
+   * Regenerate the table of contents stored in the document. The TOC lives
+   * either between `<!-- toc -->` and `<!-- tocstop -->` comments, or in the
+   * body of a heading with the given text. A missing `<!-- tocstop -->` is
+   * added after the generated list, which replaces a list right after
+   * `<!-- toc -->`.
+   * @param {Object} tree - The AST tree to modify
+   * @param {Object} options - Options
+   * @param {number} options.maxLevel - Maximum heading level to include (default: 3)
+   * @param {string|null} options.heading - Text of the heading that holds the
+   *   TOC; when null, the comment markers are used (default: null)
+   * @returns {boolean} True if a TOC location was found and updated
+   */
+  updateTableOfContents(tree, { maxLevel = 3, heading = null } = {}) {
+    const isMarker = (node, name) =>
+      node.type === 'html' &&
+      new RegExp(`^<!--\\s*${name}\\s*-->$`, 'i').test(node.value.trim());
+
+    let start = -1;
+    let end = -1;
+    const exclude = [];
+
+    if (heading) {
+      start = tree.children.findIndex(
+        (node) =>
+          node.type === 'heading' &&
+          this.getHeadingText(node).toLowerCase() === heading.toLowerCase()
+      );
+      if (start === -1) {
+        return false;
+      }
+      exclude.push(tree.children[start]);
+      end = tree.children.findIndex(
+        (node, index) => index > start && node.type === 'heading'
+      );
+      if (end === -1) {
+        end = tree.children.length;
+      }
+    } else {
+      start = tree.children.findIndex((node) => isMarker(node, 'toc'));
+      if (start === -1) {
+        return false;
+      }
+      end = tree.children.findIndex(
+        (node, index) => index > start && isMarker(node, 'tocstop')
+      );
+      if (end === -1) {
+        // A list right after the marker is the TOC written without a stop
+        // marker, and is replaced rather than left below the new one
+        end = tree.children[start + 1]?.type === 'list' ? start + 2 : start + 1;
+        tree.children.splice(end, 0, {
+          type: 'html',
+          value: '<!-- tocstop -->',
+        });
+      }
+    }
+
+    const toc = this.generateTableOfContents(tree, maxLevel, {
+      title: null,
+      exclude,
+    });
+    const nodes = toc ? this.processor.parse(toc).children : [];
+
+    // Leave an up-to-date TOC alone so its original formatting survives
+    const withoutPositions = (list) =>
+      JSON.stringify(list, (key, value) =>
+        key === 'position' ? undefined : value
+      );
+    const current = tree.children.slice(start + 1, end);
+    if (withoutPositions(current) !== withoutPositions(nodes)) {
+      tree.children.splice(start + 1, end - start - 1, ...nodes);
+    }
+    return true;
+  }
 }
@@ -0,0 +1,77 @@
+/**
+ * Loading of unified/remark plugins named in the config file or with
+ * `--plugin`. An entry is a module specifier or plugin function, optionally
+ * paired with options: `'remark-math'` or `['remark-directive', {...}]`.
+ */
+
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+
+function isPathSpecifier(specifier) {
+  return specifier.startsWith('.') || path.isAbsolute(specifier);
+}
+
+/**
+ * Make relative plugin paths absolute, e.g. paths in a config file are
+ * relative to the file rather than the working directory
+ * @param {Array} entries - Plugin entries
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Array} Plugin entries with absolute paths
+ */
+export function resolvePluginPaths(entries, baseDir) {
+  return [].concat(entries).map((entry) => {
+    const [plugin, ...rest] = Array.isArray(entry) ? entry : [entry];
+    if (typeof plugin !== 'string' || !isPathSpecifier(plugin)) return entry;
+    const resolved = path.resolve(baseDir, plugin);
+    return Array.isArray(entry) ? [resolved, ...rest] : resolved;
+  });
+}
+
+/**
+ * Import the plugins named by module specifiers. Packages are resolved from
+ * the working directory first, so a project's own dependencies can be used,
+ * and then from md-tree's dependencies.
+ * @param {Array} entries - Plugin entries
+ * @param {string} baseDir - Directory to resolve specifiers from
+ * @returns {Promise<Array>} Entries for the MarkdownTreeParser `plugins`
+ *   option: `plugin` or `[plugin, options]`
+ */
+export async function loadPlugins(entries, baseDir = process.cwd()) {
+  return Promise.all(
+    entries.map(async (entry) => {
+      const [specifier, ...settings] = Array.isArray(entry) ? entry : [entry];
+      if (typeof specifier !== 'string') return entry;
+
+      let module;
+      try {
+        module = await import(resolveSpecifier(specifier, baseDir));
+      } catch (error) {
+        throw new Error(`Cannot load plugin "${specifier}": ${error.message}`);
+      }
+
+      // Presets ({ plugins, settings }) are objects rather than functions
+      const plugin = module.default ?? module;
+      if (typeof plugin !== 'function' && typeof plugin?.plugins !== 'object') {
+        throw new Error(
+          `Cannot load plugin "${specifier}": the module does not export a plugin or preset`
+        );
+      }
+      return settings.length > 0 ? [plugin, ...settings] : plugin;
+    })
+  );
+}
+
+function resolveSpecifier(specifier, baseDir) {
+  if (isPathSpecifier(specifier)) {
+    return pathToFileURL(path.resolve(baseDir, specifier)).href;
+  }
+  try {
+    const requireFrom = createRequire(path.join(baseDir, 'noop.js'));
+    return pathToFileURL(requireFrom.resolve(specifier)).href;
+  } catch {
+    // Not installed in the project (or ESM-only exports): let import()
+    // resolve it from md-tree's own dependencies
+    return specifier;
+  }
+}
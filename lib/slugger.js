@@ -0,0 +1,158 @@
+/**
+ * Heading slug generation shared by the TOC, explode index, link checking
+ * and section filenames. Each dialect mimics how a hosting platform turns
+ * heading text into `#fragment` anchors.
+ */
+
+// Characters kept by each dialect before whitespace is turned into dashes
+const NOT_WORD_GITHUB = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+const NOT_WORD_GITLAB = /[^\p{L}\p{M}\p{N}\p{Pc}\s-]/gu;
+const NOT_WORD_BITBUCKET = /[^\p{L}\p{M}\p{N}\s-]/gu;
+const NOT_WORD_PLAIN = /[^\p{L}\p{M}\p{N}\s-]/gu;
+
+const DIALECTS = {
+  // github-slugger: lowercase, drop punctuation, one dash per space
+  github: {
+    slug: (text) =>
+      text.toLowerCase().replace(NOT_WORD_GITHUB, '').replace(/ /g, '-'),
+    separator: '-',
+  },
+  // GitLab additionally trims and collapses runs of dashes
+  gitlab: {
+    slug: (text) =>
+      text
+        .toLowerCase()
+        .trim()
+        .replace(NOT_WORD_GITLAB, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-'),
+    separator: '-',
+  },
+  // Bitbucket prefixes every anchor and numbers duplicates with underscores
+  bitbucket: {
+    slug: (text) =>
+      `markdown-header-${text
+        .toLowerCase()
+        .trim()
+        .replace(NOT_WORD_BITBUCKET, '')
+        .replace(/\s+/g, '-')}`,
+    separator: '_',
+  },
+  // Filename-friendly slugs without leading, trailing or repeated dashes
+  plain: {
+    slug: (text) =>
+      text
+        .toLowerCase()
+        .replace(NOT_WORD_PLAIN, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, ''),
+    separator: '-',
+  },
+};
+
+export const SLUG_DIALECTS = Object.keys(DIALECTS);
+
+function getDialect(dialect) {
+  const definition = DIALECTS[dialect];
+  if (!definition) {
+    throw new Error(
+      `Unknown slug dialect "${dialect}" (expected one of: ${SLUG_DIALECTS.join(', ')})`
+    );
+  }
+  return definition;
+}
+
+/**
+ * Create a single slug without duplicate tracking
+ * @param {string} text - Heading text
+ * @param {string} dialect - One of SLUG_DIALECTS (default: 'github')
+ * @returns {string} Slug
+ */
+export function slugify(text, dialect = 'github') {
+  return getDialect(dialect).slug(text);
+}
+
+/**
+ * Stateful slugger that numbers repeated slugs the way the hosting platform
+ * does ("setup", "setup-1", "setup-2", ...). Use one instance per document.
+ */
+export class Slugger {
+  /**
+   * @param {string} dialect - One of SLUG_DIALECTS (default: 'github')
+   */
+  constructor(dialect = 'github') {
+    this.dialect = getDialect(dialect);
+    this.occurrences = new Map();
+  }
+
+  /**
+   * Create a unique slug for the given text
+   * @param {string} text - Heading text
+   * @returns {string} Slug, suffixed if it was already used
+   */
+  slug(text) {
+    const base = this.dialect.slug(text);
+    let result = base;
+
+    // Skip suffixes that collide with a slug generated from literal text,
+    // e.g. a heading actually named "Setup 1"
+    while (this.occurrences.has(result)) {
+      const count = this.occurrences.get(base) + 1;
+      this.occurrences.set(base, count);
+      result = `${base}${this.dialect.separator}${count}`;
+    }
+
+    this.occurrences.set(result, 0);
+    return result;
+  }
+
+  /**
+   * Forget all slugs generated so far
+   */
+  reset() {
+    this.occurrences.clear();
+  }
+}
+
+/**
+ * Find the slug closest to a missing one, for "did you mean" suggestions
+ * @param {string} slug - The slug that was not found
+ * @param {Iterable<string>} candidates - Existing slugs
+ * @returns {string|null} Closest candidate, or null if none is close enough
+ */
+export function findClosestSlug(slug, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = levenshtein(slug, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  // Only suggest candidates that differ in at most half of their characters
+  return best !== null && bestDistance <= Math.max(best.length, slug.length) / 2
+    ? best
+    : null;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -6,6 +6,8 @@
 
 import { spawn } from 'node:child_process';
 import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -45,9 +47,10 @@ function assert(condition, message) {
 }
 
 // Helper to run CLI command
-function runCLI(args) {
+function runCLI(args, { cwd, input } = {}) {
   return new Promise((resolve, reject) => {
     const child = spawn('node', [binPath, ...args], {
+      cwd,
       stdio: ['pipe', 'pipe', 'pipe'],
     });
 
@@ -67,6 +70,10 @@ function runCLI(args) {
     });
 
     child.on('error', reject);
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
   });
 }
 
@@ -180,11 +187,12 @@ async function runTests() {
     assert(files.includes('usage.md'), 'Should create usage.md');
     assert(files.includes('contributing.md'), 'Should create contributing.md');
     assert(files.includes('license.md'), 'Should create license.md');
+    assert(files.includes('md-tree.json'), 'Should create md-tree.json');
 
-    // Check file count (5 sections + 1 index = 6 files)
+    // Check file count (5 sections + index + manifest = 7 files)
     assert(
-      files.length === 6,
-      `Expected 6 files, got ${files.length}: ${files.join(', ')}`
+      files.length === 7,
+      `Expected 7 files, got ${files.length}: ${files.join(', ')}`
     );
   });
 
@@ -355,7 +363,11 @@ Content here.
 
     const result = await runCLI(['check-links', testLinksFile]);
 
-    assert(result.code === 0, 'Check-links command should succeed');
+    assert(result.code === 1, 'Check-links should fail on broken links');
+    assert(
+      result.stdout.includes('links failed'),
+      'Should summarize broken links'
+    );
 
     // Should show checking message
     assert(
@@ -394,10 +406,10 @@ Content here.
       'Should show mailto links as skipped'
     );
 
-    // Should NOT show hash links (they should be ignored)
+    // Should resolve hash links against the headings of the file
     assert(
-      !result.stdout.includes('#table-of-contents'),
-      'Should ignore hash links'
+      result.stdout.includes('✅ #table-of-contents'),
+      'Should validate hash links'
     );
   });
 
@@ -441,7 +453,13 @@ This document has links too:
     await fs.writeFile(mainFile, mainContent, 'utf-8');
     await fs.writeFile(linkedFile, linkedContent, 'utf-8');
 
-    const result = await runCLI(['check-links', mainFile, '--recursive']);
+    // --warn-only keeps the offline external link from failing the run
+    const result = await runCLI([
+      'check-links',
+      mainFile,
+      '--recursive',
+      '--warn-only',
+    ]);
 
     assert(result.code === 0, 'Recursive check-links should succeed');
     assert(
@@ -502,6 +520,1771 @@ This document has links too:
     );
   });
 
+  await test('CLI stats with --gfm', async () => {
+    const gfmFile = path.join(testDir, 'gfm.md');
+    await fs.writeFile(
+      gfmFile,
+      '# GFM\n\n| a | b |\n| - | - |\n| 1 | 2 |\n\n- [x] done\n- [ ] todo\n',
+      'utf-8'
+    );
+
+    const result = await runCLI(['stats', gfmFile, '--gfm']);
+    assert(result.code === 0, 'Stats command should succeed');
+    assert(result.stdout.includes('Tables: 1'), 'Should count tables');
+    assert(
+      result.stdout.includes('Task list items: 1/2 done'),
+      'Should count task list items'
+    );
+  });
+
+  await test('CLI explode --gfm warns about split footnotes', async () => {
+    const footnoteFile = path.join(testDir, 'footnotes.md');
+    await fs.writeFile(
+      footnoteFile,
+      '# Doc\n\n## First\n\nClaim[^1].\n\n## Notes\n\n[^1]: Source.\n',
+      'utf-8'
+    );
+
+    const outputDir = path.join(testDir, 'footnotes-exploded');
+    const result = await runCLI(['explode', footnoteFile, outputDir, '--gfm']);
+    assert(result.code === 0, 'Explode should succeed');
+    assert(
+      result.stdout.includes(
+        'footnote [^1] used in "First" is defined in "Notes"'
+      ),
+      'Should warn about split footnote'
+    );
+  });
+
+  await test('CLI frontmatter read and set', async () => {
+    const fmFile = path.join(testDir, 'frontmatter.md');
+    await fs.writeFile(
+      fmFile,
+      '---\ntitle: Guide # why\ntags: [a, b]\nauthor:\n  name: Kay\n---\n\n# Guide\n\n* keep  this   spacing\n',
+      'utf-8'
+    );
+
+    let result = await runCLI(['frontmatter', fmFile, 'author.name']);
+    assert(result.code === 0, 'Reading a key should succeed');
+    assert(result.stdout.trim() === 'Kay', 'Should print nested value');
+
+    result = await runCLI(['frontmatter', fmFile, '--format', 'json']);
+    assert(
+      JSON.parse(result.stdout).title === 'Guide',
+      'Should print frontmatter as JSON'
+    );
+
+    result = await runCLI(['frontmatter', fmFile, 'draft', 'true']);
+    assert(result.code === 0, 'Setting a key should succeed');
+    const updated = await fs.readFile(fmFile, 'utf-8');
+    assert(
+      updated.startsWith(
+        '---\ntitle: Guide # why\ntags: [a, b]\nauthor:\n  name: Kay\ndraft: true\n---\n'
+      ),
+      'Should add the key and keep comments and flow lists'
+    );
+    assert(
+      updated.endsWith('# Guide\n\n* keep  this   spacing\n'),
+      'Should leave the document body untouched'
+    );
+
+    result = await runCLI(['frontmatter', fmFile, 'missing']);
+    assert(result.code !== 0, 'Missing key should fail');
+  });
+
+  await test('CLI explode and assemble keep frontmatter', async () => {
+    const fmFile = path.join(testDir, 'frontmatter-doc.md');
+    await fs.writeFile(
+      fmFile,
+      '---\ntitle: Doc\n# not a heading\n---\n\n# Doc\n\n## One\n\nText.\n',
+      'utf-8'
+    );
+
+    const outputDir = path.join(testDir, 'frontmatter-exploded');
+    let result = await runCLI(['explode', fmFile, outputDir]);
+    assert(result.code === 0, 'Explode should succeed');
+
+    const indexContent = await fs.readFile(
+      path.join(outputDir, 'index.md'),
+      'utf-8'
+    );
+    assert(
+      indexContent.startsWith('---\ntitle: Doc\n# not a heading\n---\n\n# Doc'),
+      'index.md should start with the frontmatter'
+    );
+
+    const assembledFile = path.join(testDir, 'frontmatter-assembled.md');
+    result = await runCLI(['assemble', outputDir, assembledFile]);
+    assert(result.code === 0, 'Assemble should succeed');
+    const assembled = await fs.readFile(assembledFile, 'utf-8');
+    assert(
+      assembled.startsWith('---\ntitle: Doc\n# not a heading\n---\n\n# Doc\n'),
+      'Assembled document should restore the frontmatter'
+    );
+  });
+
+  await test('CLI outline command', async () => {
+    let result = await runCLI(['outline', testFile]);
+    assert(result.code === 0, 'Outline command should succeed');
+    assert(
+      result.stdout.includes('    📄 Prerequisites (lines'),
+      'Should show nested sections with line ranges'
+    );
+
+    result = await runCLI(['outline', testFile, '--format', 'json']);
+    const outline = JSON.parse(result.stdout);
+    assert(outline.length === 1, 'Should have one top-level section');
+    assert(
+      outline[0].children.length === 5,
+      'Title should have five child sections'
+    );
+    assert(
+      outline[0].children[1].children[0].slug === 'prerequisites',
+      'Should include slugs of nested sections'
+    );
+  });
+
+  await test('CLI extract with section path', async () => {
+    let result = await runCLI(['extract', testFile, 'Usage > Advanced']);
+    assert(result.code === 0, 'Extract by path should succeed');
+    assert(
+      result.stdout.includes('Complex examples with more details.'),
+      'Should extract the addressed section'
+    );
+
+    result = await runCLI(['extract', testFile, 'Usage']);
+    assert(result.code === 0, 'Exact match should win over substrings');
+
+    result = await runCLI(['extract', testFile, 'Setup']);
+    assert(result.code === 0, 'Unique substring should still match');
+
+    result = await runCLI(['extract', testFile, 'Usage >']);
+    assert(result.code === 0, 'Trailing separator should be ignored');
+
+    result = await runCLI(['extract', testFile, 'Install']);
+    assert(result.code !== 0, 'Ambiguous address should fail');
+    assert(
+      result.stderr.includes('Test Document > Installation') &&
+        result.stderr.includes('Test Document > Installation > Quick Install'),
+      'Should list all matches'
+    );
+  });
+
+  await test('CLI section editing commands', async () => {
+    const editFile = path.join(testDir, 'edit.md');
+    const contentFile = path.join(testDir, 'snippet.md');
+    await fs.writeFile(editFile, testMarkdown, 'utf-8');
+    await fs.writeFile(contentFile, '## FAQ\n\nQuestions.\n', 'utf-8');
+
+    let result = await runCLI([
+      'insert',
+      editFile,
+      'License',
+      contentFile,
+      '--before',
+      '--dry-run',
+    ]);
+    assert(result.code === 0, 'Dry run should succeed');
+    assert(result.stdout.includes('+## FAQ'), 'Should print a diff');
+    assert(
+      (await fs.readFile(editFile, 'utf-8')) === testMarkdown,
+      'Dry run should not modify the file'
+    );
+
+    result = await runCLI([
+      'insert',
+      editFile,
+      'License',
+      contentFile,
+      '--before',
+    ]);
+    assert(result.code === 0, 'Insert should succeed');
+    let content = await fs.readFile(editFile, 'utf-8');
+    assert(
+      content.indexOf('## FAQ') < content.indexOf('## License'),
+      'Should insert before License'
+    );
+
+    result = await runCLI([
+      'move',
+      editFile,
+      'FAQ',
+      'Introduction',
+      '--before',
+    ]);
+    assert(result.code === 0, 'Move should succeed');
+    content = await fs.readFile(editFile, 'utf-8');
+    assert(
+      content.indexOf('## FAQ') < content.indexOf('## Introduction'),
+      'Should move FAQ before Introduction'
+    );
+
+    result = await runCLI(['replace', editFile, 'FAQ', contentFile]);
+    assert(result.code === 0, 'Replace should succeed');
+
+    result = await runCLI(['remove', editFile, 'Contributing']);
+    assert(result.code === 0, 'Remove should succeed');
+    content = await fs.readFile(editFile, 'utf-8');
+    assert(!content.includes('Development Setup'), 'Should remove subsections');
+
+    result = await runCLI(['remove', editFile, 'Nope']);
+    assert(result.code !== 0, 'Missing section should fail');
+    assert(
+      result.stderr.includes('Section "Nope" not found'),
+      'Should report the missing section'
+    );
+  });
+
+  await test('CLI edits leave untouched content byte-identical', async () => {
+    const styledFile = path.join(testDir, 'styled.md');
+    const styled =
+      '# Styled\n\n- dash   bullet\n\n_emphasis_\n\n## Old\n\nBye.\n\n## Keep\n\n+ plus bullet\n';
+    await fs.writeFile(styledFile, styled, 'utf-8');
+
+    const result = await runCLI(['remove', styledFile, 'Old']);
+    assert(result.code === 0, 'Remove should succeed');
+    const content = await fs.readFile(styledFile, 'utf-8');
+    assert(
+      content ===
+        '# Styled\n\n- dash   bullet\n\n_emphasis_\n\n## Keep\n\n+ plus bullet\n',
+      `Only the removed section should change, got:\n${content}`
+    );
+  });
+
+  await test('CLI toc --write and --check', async () => {
+    const tocFile = path.join(testDir, 'toc.md');
+    await fs.writeFile(
+      tocFile,
+      '# Doc\n\n<!-- toc -->\n<!-- tocstop -->\n\n## One\n\n## Two\n',
+      'utf-8'
+    );
+
+    let result = await runCLI(['toc', tocFile, '--check']);
+    assert(result.code !== 0, 'Stale TOC should fail the check');
+    assert(result.stderr.includes('out of date'), 'Should explain failure');
+
+    result = await runCLI(['toc', tocFile, '--write']);
+    assert(result.code === 0, 'Write should succeed');
+    const content = await fs.readFile(tocFile, 'utf-8');
+    assert(content.includes('[Two](#two)'), 'Should write the TOC in place');
+
+    result = await runCLI(['toc', tocFile, '--check']);
+    assert(result.code === 0, 'Fresh TOC should pass the check');
+
+    result = await runCLI(['toc', testFile, '--check']);
+    assert(result.code !== 0, 'Missing markers should fail');
+    assert(
+      result.stderr.includes('No <!-- toc --> marker found'),
+      'Should report missing markers'
+    );
+  });
+
+  await test('CLI explode index anchors handle duplicate headings', async () => {
+    const dupFile = path.join(testDir, 'duplicates.md');
+    await fs.writeFile(
+      dupFile,
+      '# Doc\n\n## Server\n\n### Options\n\n### Options\n\n## Client\n\n### Options\n',
+      'utf-8'
+    );
+
+    const outputDir = path.join(testDir, 'duplicates-exploded');
+    const result = await runCLI(['explode', dupFile, outputDir]);
+    assert(result.code === 0, 'Explode should succeed');
+
+    const indexContent = await fs.readFile(
+      path.join(outputDir, 'index.md'),
+      'utf-8'
+    );
+    assert(
+      indexContent.includes('[Options](./server.md#options)') &&
+        indexContent.includes('[Options](./server.md#options-1)'),
+      'Duplicates within a file should be numbered'
+    );
+    assert(
+      indexContent.includes('[Options](./client.md#options)'),
+      'Numbering should restart in each section file'
+    );
+  });
+
+  await test('CLI --slug selects the anchor dialect', async () => {
+    let result = await runCLI(['toc', testFile, '--slug', 'bitbucket']);
+    assert(
+      result.stdout.includes('(#markdown-header-installation)'),
+      'Should use Bitbucket anchors'
+    );
+
+    result = await runCLI(['toc', testFile, '--slug', 'nope']);
+    assert(result.code !== 0, 'Unknown dialect should fail');
+
+    const slugDir = path.join(testDir, 'bitbucket-exploded');
+    await runCLI(['explode', testFile, slugDir, '--slug', 'bitbucket']);
+    const indexFile = path.join(slugDir, 'index.md');
+    result = await runCLI(['check-links', indexFile, '--slug', 'bitbucket']);
+    assert(
+      result.code === 0,
+      `Index anchors should follow the dialect: ${result.stdout}`
+    );
+
+    await fs.rm(path.join(slugDir, 'md-tree.json'));
+    const assembledFile = path.join(testDir, 'bitbucket-assembled.md');
+    await runCLI(['assemble', slugDir, assembledFile, '--slug', 'bitbucket']);
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) ===
+        (await fs.readFile(testFile, 'utf-8')),
+      'Assemble should find the title item of a Bitbucket index'
+    );
+  });
+
+  await test('CLI check-links validates anchors', async () => {
+    const anchorsFile = path.join(testDir, 'anchors.md');
+    const targetFile = path.join(testDir, 'anchor-target.md');
+    await fs.writeFile(
+      anchorsFile,
+      `# Anchors
+
+- [Good](#getting-started)
+- [Typo](#getting-startd)
+- [HTML anchor](#custom)
+- [Other file](./anchor-target.md#api-reference)
+- [Other file typo](./anchor-target.md#api-refrence)
+
+## Getting Started
+
+<a id="custom"></a>
+`,
+      'utf-8'
+    );
+    await fs.writeFile(targetFile, '# Target\n\n## API Reference\n', 'utf-8');
+
+    const result = await runCLI(['check-links', anchorsFile]);
+    assert(result.stdout.includes('✅ #getting-started'), 'Valid anchor');
+    assert(
+      result.stdout.includes(
+        '❌ #getting-startd (anchor not found in anchors.md, did you mean #getting-started?)'
+      ),
+      'Should suggest the closest anchor'
+    );
+    assert(result.stdout.includes('✅ #custom'), 'Should accept HTML ids');
+    assert(
+      result.stdout.includes('✅ ./anchor-target.md#api-reference'),
+      'Should resolve anchors in other files'
+    );
+    assert(
+      result.stdout.includes(
+        '❌ ./anchor-target.md#api-refrence (anchor not found in anchor-target.md, did you mean #api-reference?)'
+      ),
+      'Should report missing anchors in other files'
+    );
+
+    const schemesFile = path.join(testDir, 'schemes.md');
+    await fs.writeFile(
+      schemesFile,
+      '# Schemes\n\n[tel](tel:123), [ftp](ftp://example.com/f), [irc](irc://example.com/chan) and [cdn](//cdn.example.com/x.js)\n',
+      'utf-8'
+    );
+    const schemes = await runCLI(['check-links', schemesFile]);
+    assert(
+      schemes.code === 0,
+      `Other schemes should not fail: ${schemes.stdout}`
+    );
+    assert(
+      schemes.stdout.includes('⏭️  tel:123 (tel link - skipped)') &&
+        schemes.stdout.includes('⏭️  //cdn.example.com/x.js'),
+      'Should skip links that are not local files'
+    );
+  });
+
+  await test('CLI check-links machine-readable reports', async () => {
+    const reportFile = path.join(testDir, 'report.md');
+    await fs.writeFile(
+      reportFile,
+      `# Report
+
+- [Good](#report)
+- [Broken](./missing.md)
+- [Email](mailto:team@example.com)
+`,
+      'utf-8'
+    );
+
+    const json = await runCLI(['check-links', reportFile, '--format', 'json']);
+    assert(json.code === 1, 'Should exit non-zero on broken links');
+    const report = JSON.parse(json.stdout);
+    assert(report.summary.total === 3, 'Should count all links');
+    assert(report.summary.failed === 1, 'Should count failed links');
+    assert(report.summary.skipped === 1, 'Should count skipped links');
+    const broken = report.links.find((link) => link.status === 'failed');
+    assert(broken.url === './missing.md', 'Should report the broken URL');
+    assert(broken.line === 4 && broken.column === 3, 'Should report location');
+    assert(broken.reason === 'file not found', 'Should report the reason');
+    assert(broken.file.endsWith('report.md'), 'Should report the file');
+
+    const junit = await runCLI(['check-links', reportFile, '-f', 'junit']);
+    assert(junit.code === 1, 'JUnit run should fail too');
+    assert(
+      junit.stdout.includes('<testsuites name="md-tree check-links" tests="3"'),
+      'Should write a JUnit test suite'
+    );
+    assert(
+      junit.stdout.includes('<failure message="file not found">'),
+      'Should write JUnit failures'
+    );
+
+    const sarif = await runCLI([
+      'check-links',
+      reportFile,
+      '--format',
+      'sarif',
+      '--warn-only',
+    ]);
+    assert(sarif.code === 0, '--warn-only should exit zero');
+    const log = JSON.parse(sarif.stdout);
+    assert(log.version === '2.1.0', 'Should write SARIF 2.1.0');
+    const [result] = log.runs[0].results;
+    assert(log.runs[0].results.length === 1, 'Should only list failures');
+    assert(result.level === 'warning', 'Should downgrade to warnings');
+    assert(
+      result.locations[0].physicalLocation.region.startLine === 4,
+      'Should include the SARIF region'
+    );
+    assert(
+      log.runs[0].tool.driver.rules.some((rule) => rule.id === result.ruleId),
+      'Should declare the rule of every result'
+    );
+
+    const unknown = await runCLI(['check-links', reportFile, '-f', 'xml']);
+    assert(unknown.code !== 0, 'Should reject unknown formats');
+    assert(
+      unknown.stderr.includes('Unknown report format'),
+      'Should explain unknown formats'
+    );
+  });
+
+  await test('CLI check-links external options and cache', async () => {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] ?? 0) + 1;
+      res.writeHead(req.url === '/gone' ? 410 : 200).end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const externalFile = path.join(testDir, 'external.md');
+    const cacheFile = path.join(testDir, 'link-cache.json');
+    await fs.writeFile(
+      externalFile,
+      `# External\n\n- [Up](${base}/up)\n- [Gone](${base}/gone)\n`,
+      'utf-8'
+    );
+
+    try {
+      const args = [
+        'check-links',
+        externalFile,
+        '--concurrency',
+        '2',
+        '--timeout',
+        '2000',
+        '--retries',
+        '0',
+        '--cache-file',
+        cacheFile,
+      ];
+      const first = await runCLI(args);
+      assert(first.code === 1, 'Should fail on the 410 link');
+      assert(first.stdout.includes(`✅ ${base}/up`), 'Should pass live links');
+      assert(first.stdout.includes(`❌ ${base}/gone (410)`), 'Should fail 410');
+      assert(hits['/gone'] === 2, 'Should try HEAD then GET without retries');
+
+      const second = await runCLI(args);
+      assert(second.stdout.includes(`✅ ${base}/up`), 'Should pass from cache');
+      assert(hits['/up'] === 1, 'Should not request cached URLs again');
+      assert(hits['/gone'] === 4, 'Should not cache failures');
+
+      await runCLI([...args, '--cache-ttl', '0']);
+      assert(hits['/up'] === 2, 'Should ignore expired cache entries');
+    } finally {
+      server.close();
+    }
+  });
+
+  await test('CLI check-links ignore rules and suppression comments', async () => {
+    const projectDir = path.join(testDir, 'ignore-project');
+    await fs.mkdir(projectDir, { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, '.mdtreerc.json'),
+      JSON.stringify({
+        checkLinks: { ignore: ['./drafts/*'], allow: ['/published/'] },
+      }),
+      'utf-8'
+    );
+    await fs.writeFile(
+      path.join(projectDir, 'doc.md'),
+      `# Doc
+
+- [Local server](http://localhost:8080/health)
+- [Draft](./drafts/todo.md)
+- [Published](./drafts/published.md)
+<!-- md-tree-ignore-next-link -->
+- [Placeholder](./placeholder.md)
+- [Broken](./broken.md)
+
+<!-- md-tree-ignore-start -->
+[One](./one.md) and [Two](./two.md)
+<!-- md-tree-ignore-end -->
+`,
+      'utf-8'
+    );
+
+    const result = await runCLI(
+      ['check-links', 'doc.md', '--ignore', '/^https?:\\/\\/localhost/'],
+      { cwd: projectDir }
+    );
+    assert(
+      result.stdout.includes(
+        '⏭️  http://localhost:8080/health (ignored - skipped)'
+      ),
+      'Should ignore links matching a CLI regex'
+    );
+    assert(
+      result.stdout.includes('⏭️  ./drafts/todo.md (ignored - skipped)'),
+      'Should ignore links matching a config glob'
+    );
+    assert(
+      result.stdout.includes('❌ ./drafts/published.md (file not found)'),
+      'Allow patterns should override ignore patterns'
+    );
+    assert(
+      result.stdout.includes('⏭️  ./placeholder.md (ignored - skipped)'),
+      'Should honor md-tree-ignore-next-link'
+    );
+    assert(
+      result.stdout.includes('❌ ./broken.md (file not found)'),
+      'Ignore comment should only affect the next link'
+    );
+    assert(
+      result.stdout.includes('⏭️  ./one.md (ignored - skipped)') &&
+        result.stdout.includes('⏭️  ./two.md (ignored - skipped)'),
+      'Should honor ignore start/end blocks'
+    );
+    assert(
+      result.stdout.includes('2 of 7 links failed'),
+      'Ignored links should not fail the run'
+    );
+  });
+
+  await test('CLI check-links reports reference problems', async () => {
+    const refsFile = path.join(testDir, 'refs.md');
+    await fs.writeFile(
+      refsFile,
+      `# Refs
+
+Read the [guide][guide] and the [missing page][missing].
+
+[guide]: ./sample.md
+[guide]: ./other.md
+[spare]: ./sample.md
+`,
+      'utf-8'
+    );
+
+    const result = await runCLI(['check-links', refsFile]);
+    assert(result.code === 1, 'Undefined references should fail');
+    assert(
+      result.stdout.includes('❌ [missing] (line 3: undefined reference)'),
+      'Should report undefined references with line numbers'
+    );
+    assert(
+      result.stdout.includes(
+        '❌ [guide] (line 6: duplicate definition, first defined on line 5)'
+      ),
+      'Should report duplicate definitions'
+    );
+    assert(
+      result.stdout.includes('⚠️  [spare] (line 7: unused definition)'),
+      'Should warn about unused definitions'
+    );
+
+    const json = JSON.parse(
+      (await runCLI(['check-links', refsFile, '--format', 'json'])).stdout
+    );
+    const unused = json.links.find((link) => link.url === '[spare]');
+    assert(unused.status === 'warning', 'Unused definitions are warnings');
+    assert(unused.rule === 'unused-definition', 'Should include the rule');
+    assert(json.summary.warning === 1, 'Should count warnings');
+
+    await fs.writeFile(
+      refsFile,
+      '# Refs\n\n[Sample][s]\n\n[s]: ./sample.md\n[t]: ./sample.md\n',
+      'utf-8'
+    );
+    const warningsOnly = await runCLI(['check-links', refsFile]);
+    assert(warningsOnly.code === 0, 'Warnings alone should not fail');
+    assert(warningsOnly.stdout.includes('⚠️  1 warning'), 'Should count');
+  });
+
+  await test('CLI check-links verifies images and HTML attributes', async () => {
+    const assetsDir = path.join(testDir, 'assets');
+    await fs.mkdir(assetsDir, { recursive: true });
+    await fs.writeFile(path.join(assetsDir, 'small.png'), Buffer.alloc(100));
+    await fs.writeFile(path.join(assetsDir, 'large.png'), Buffer.alloc(4096));
+    const imagesFile = path.join(testDir, 'images.md');
+    await fs.writeFile(
+      imagesFile,
+      `# Images
+
+![Small](./assets/small.png) ![](./assets/large.png)
+![Missing](./assets/missing.png) ![Ref][logo]
+
+<p>
+  <img src="./assets/small.png">
+  <a href="./assets/gone.md">Gone</a>
+  <!-- <img src="./assets/commented.png"> -->
+</p>
+
+[logo]: ./assets/small.png
+`,
+      'utf-8'
+    );
+
+    const result = await runCLI(['check-links', imagesFile]);
+    assert(result.code === 1, 'Should fail on broken images');
+    assert(
+      result.stdout.includes('✅ ./assets/small.png'),
+      'Should check image URLs'
+    );
+    assert(
+      result.stdout.includes('❌ ./assets/missing.png (file not found)'),
+      'Should report missing images'
+    );
+    assert(
+      result.stdout.includes('❌ ./assets/gone.md (file not found)'),
+      'Should check href attributes in HTML'
+    );
+    assert(
+      !result.stdout.includes('commented.png'),
+      'Should ignore tags inside HTML comments'
+    );
+    assert(
+      !result.stdout.includes('missing alt text'),
+      'Alt text is only checked with --check-alt'
+    );
+
+    const strict = await runCLI([
+      'check-links',
+      imagesFile,
+      '--check-alt',
+      '--max-image-size',
+      '1kb',
+      '--format',
+      'json',
+    ]);
+    const { links } = JSON.parse(strict.stdout);
+    const altProblems = links.filter(
+      (link) => link.rule === 'missing-alt-text'
+    );
+    assert(
+      JSON.stringify(altProblems.map((link) => [link.url, link.line])) ===
+        JSON.stringify([
+          ['./assets/large.png', 3],
+          ['./assets/small.png', 7],
+        ]),
+      'Should flag markdown and HTML images without alt text'
+    );
+    assert(altProblems[1].column === 3, 'Should point at the HTML tag');
+    const large = links.find(
+      (link) => link.url === './assets/large.png' && !link.rule
+    );
+    assert(
+      large.status === 'failed' &&
+        large.reason === 'image is 4 KB, larger than 1 KB',
+      'Should flag oversized local images'
+    );
+    const gone = links.find((link) => link.url === './assets/gone.md');
+    assert(
+      gone.line === 8 && gone.column === 6,
+      'Should locate HTML attributes'
+    );
+
+    const sarif = await runCLI([
+      'check-links',
+      imagesFile,
+      '--check-alt',
+      '--format',
+      'sarif',
+    ]);
+    const [run] = JSON.parse(sarif.stdout).runs;
+    const declared = new Set(run.tool.driver.rules.map((rule) => rule.id));
+    assert(
+      run.results.some((result) => result.ruleId === 'missing-alt-text') &&
+        run.results.every((result) => declared.has(result.ruleId)),
+      'SARIF results should only use declared rules'
+    );
+  });
+
+  await test('CLI read-only commands accept several files and globs', async () => {
+    const projectDir = path.join(testDir, 'multi-project');
+    await fs.mkdir(path.join(projectDir, 'docs', 'guide'), { recursive: true });
+    await fs.mkdir(path.join(projectDir, 'build'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, '.gitignore'), 'build/\n');
+    await fs.writeFile(
+      path.join(projectDir, 'docs', 'intro.md'),
+      '# Intro\n\n## Setup\n\nSee [guide](./guide/usage.md).\n'
+    );
+    await fs.writeFile(
+      path.join(projectDir, 'docs', 'guide', 'usage.md'),
+      '# Usage\n\n[Broken](./missing.md)\n'
+    );
+    await fs.writeFile(path.join(projectDir, 'build', 'out.md'), '# Out\n');
+    const run = (args) => runCLI(args, { cwd: projectDir });
+
+    const list = await run(['list', 'docs/**/*.md', '--format', 'json']);
+    assert(list.code === 0, 'Glob list should succeed');
+    const listed = JSON.parse(list.stdout);
+    assert(
+      JSON.stringify(listed.map((entry) => entry.file)) ===
+        JSON.stringify(['docs/guide/usage.md', 'docs/intro.md']),
+      'Should expand globs in sorted order'
+    );
+    assert(listed[1].result[1].text === 'Setup', 'Should include results');
+
+    const all = JSON.parse((await run(['stats', '.', '-f', 'json'])).stdout);
+    assert(
+      !all.some((entry) => entry.file.startsWith('build/')),
+      'Should respect .gitignore'
+    );
+    assert(all.length === 2, 'Should expand directories');
+    assert(all[0].result.headings.total === 1, 'Should combine stats');
+
+    const dirOfOne = JSON.parse(
+      (await run(['list', 'docs/guide', '-f', 'json'])).stdout
+    );
+    assert(
+      dirOfOne.length === 1 && dirOfOne[0].file === 'docs/guide/usage.md',
+      'A directory with one file should still combine'
+    );
+
+    const single = JSON.parse(
+      (await run(['list', 'docs/intro.md', '-f', 'json'])).stdout
+    );
+    assert(single[0].text === 'Intro', 'Single-file JSON is unchanged');
+
+    const text = await run(['tree', 'docs/intro.md', 'docs/guide/usage.md']);
+    assert(
+      text.stdout.includes('📄 docs/intro.md') &&
+        text.stdout.includes('📄 docs/guide/usage.md'),
+      'Should label per-file text output'
+    );
+
+    const textOnly = await run([
+      'tree',
+      'docs/intro.md',
+      'docs/guide/usage.md',
+      '-f',
+      'json',
+    ]);
+    assert(
+      textOnly.stdout.includes('📄 docs/intro.md') &&
+        !textOnly.stdout.includes('"file"'),
+      'Commands without JSON output should print text'
+    );
+    const toc = await run(['toc', 'docs/intro.md', '-f', 'json']);
+    assert(
+      toc.stdout.includes('[Setup](#setup)') &&
+        !toc.stdout.includes('undefined'),
+      'toc should ignore --format json'
+    );
+
+    const search = JSON.parse(
+      (await run(['search', 'docs', 'heading', '-f', 'json'])).stdout
+    );
+    assert(
+      search.length === 2 && search[1].result.length === 2,
+      'Search should take the selector after the files'
+    );
+
+    const links = await run(['check-links', 'docs', '-f', 'json']);
+    assert(links.code === 1, 'Should fail if any file has broken links');
+    const report = JSON.parse(links.stdout);
+    assert(
+      report.links.some(
+        (link) =>
+          link.file === path.join('docs', 'guide', 'usage.md') &&
+          link.url === './missing.md'
+      ),
+      'Should check every file in one report'
+    );
+
+    const none = await run(['list', 'nothing/**/*.md']);
+    assert(none.code !== 0, 'Should fail when a glob matches nothing');
+    assert(
+      none.stderr.includes('No markdown files match'),
+      'Should explain empty globs'
+    );
+  });
+
+  await test('CLI reads stdin and prints raw payloads', async () => {
+    const input = `# Doc
+
+Intro
+
+## Usage
+
+Run *it*.
+
+## Other
+
+Text
+`;
+
+    const extract = await runCLI(['extract', '-', 'Usage', '--raw'], {
+      input,
+    });
+    assert(extract.code === 0, 'Should extract from stdin');
+    assert(
+      extract.stdout === '## Usage\n\nRun *it*.\n',
+      'Raw extract should print only the section'
+    );
+
+    const toc = await runCLI(['toc', '-', '--quiet'], { input });
+    assert(
+      toc.stdout.startsWith('## Table of Contents') &&
+        !toc.stdout.includes('📚'),
+      'Quiet TOC should print only markdown'
+    );
+
+    const list = await runCLI(['list', '-', '-q'], { input });
+    assert(
+      list.stdout === 'Doc\n  Usage\n  Other\n',
+      'Raw list should print plain headings'
+    );
+
+    for (const args of [
+      ['outline', '-'],
+      ['stats', '-'],
+      ['search', '-', 'heading'],
+      ['check-links', '-'],
+    ]) {
+      const quiet = await runCLI([...args, '-q'], { input });
+      assert(
+        !/Outline of|Statistics for|nodes matching|Checking \d+ unique/.test(
+          quiet.stdout
+        ),
+        `${args[0]} -q should not print a banner`
+      );
+    }
+
+    const banner = await runCLI(['list', '-'], { input });
+    assert(
+      banner.stdout.includes('Headings in stdin'),
+      'Should name stdin in banners'
+    );
+
+    const json = await runCLI(['outline', '-', '--format', 'json'], {
+      input,
+    });
+    assert(JSON.parse(json.stdout)[0].text === 'Doc', 'Should output JSON');
+
+    const removed = await runCLI(['remove', '-', 'Other'], { input });
+    assert(
+      removed.stdout === '# Doc\n\nIntro\n\n## Usage\n\nRun *it*.\n',
+      'Edits of stdin should be written to stdout'
+    );
+  });
+
+  await test('CLI reads settings from a config file', async () => {
+    const projectDir = path.join(testDir, 'config-project');
+    const nestedDir = path.join(projectDir, 'docs');
+    await fs.mkdir(nestedDir, { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, '.mdtreerc'),
+      `slug: plain
+stringify:
+  bullet: "+"
+checkLinks:
+  ignore: http://localhost*
+  rules:
+    undefined-reference: warn
+    missing-alt-text: error
+`,
+      'utf-8'
+    );
+    await fs.writeFile(
+      path.join(nestedDir, 'doc.md'),
+      `# Doc
+
+## Setup Guide
+
+See [text][missing] and ![](./doc.md).
+
+## Next
+
+Text
+`,
+      'utf-8'
+    );
+    await fs.writeFile(
+      path.join(nestedDir, 'extra.md'),
+      '## Extra\n\n- item\n',
+      'utf-8'
+    );
+
+    // The config is found by walking up from the working directory
+    const links = await runCLI(['check-links', 'doc.md'], { cwd: nestedDir });
+    assert(links.code === 1, 'Alt text error from config should fail');
+    assert(
+      links.stdout.includes('⚠️  [missing] (line 5: undefined reference)'),
+      'Rule severity should come from the config'
+    );
+    assert(
+      links.stdout.includes('❌ ./doc.md (line 5: missing alt text)'),
+      'Config should enable the alt text rule'
+    );
+
+    const inserted = await runCLI(
+      ['insert', 'doc.md', 'Next', 'extra.md', '--dry-run'],
+      { cwd: nestedDir }
+    );
+    assert(
+      inserted.stdout.includes('++ item'),
+      'Stringify options from the config should be used'
+    );
+
+    const printed = await runCLI(
+      ['config', '--print', '--format', 'json', '--slug', 'gitlab'],
+      { cwd: nestedDir }
+    );
+    const config = JSON.parse(printed.stdout);
+    assert(config.slug === 'gitlab', 'Flags should override the config');
+    assert(config.stringify.bullet === '+', 'Should print stringify options');
+    assert(
+      config.checkLinks.rules['unused-definition'] === 'warn',
+      'Should print default rules next to configured ones'
+    );
+    assert(
+      config.checkLinks.ignore[0] === 'http://localhost*',
+      'Should print link patterns as a list'
+    );
+
+    const text = await runCLI(['config', '--print'], { cwd: nestedDir });
+    assert(
+      text.stdout.includes(
+        `Config file: ${path.join(projectDir, '.mdtreerc')}`
+      ),
+      'Should name the config file in use'
+    );
+    assert(text.stdout.includes('slug: plain'), 'Should print YAML');
+
+    await fs.writeFile(
+      path.join(projectDir, 'strict.config.mjs'),
+      `export default { checkLinks: { rules: { 'undefined-reference': 'error' } }, typo: true };\n`,
+      'utf-8'
+    );
+    const explicit = await runCLI(
+      ['check-links', 'doc.md', '--config', '../strict.config.mjs'],
+      { cwd: nestedDir }
+    );
+    assert(
+      explicit.stdout.includes('❌ [missing] (line 5: undefined reference)'),
+      '--config should replace the discovered config'
+    );
+    assert(
+      explicit.stderr.includes('Unknown config key "typo"'),
+      'Should warn about unknown config keys'
+    );
+
+    await fs.writeFile(
+      path.join(projectDir, 'bad.json'),
+      '{"checkLinks": {"rules": {"missing-alt-text": "fatal"}}}',
+      'utf-8'
+    );
+    const bad = await runCLI(['config', '--print', '-c', '../bad.json'], {
+      cwd: nestedDir,
+    });
+    assert(
+      bad.code === 1 && bad.stderr.includes('Invalid severity "fatal"'),
+      'Should reject invalid rule severities'
+    );
+  });
+
+  await test('CLI loads remark plugins from config and --plugin', async () => {
+    const projectDir = path.join(testDir, 'plugin-project');
+    await fs.mkdir(path.join(projectDir, 'plugins'), { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, 'plugins', 'shout.mjs'),
+      `export default function shout(options = {}) {
+  return (tree) => {
+    for (const node of tree.children) {
+      if (node.type === 'heading') {
+        for (const child of node.children) {
+          if (child.type === 'text') {
+            child.value = child.value.toUpperCase() + (options.suffix ?? '');
+          }
+        }
+      }
+    }
+  };
+}
+`,
+      'utf-8'
+    );
+    await fs.writeFile(
+      path.join(projectDir, '.mdtreerc.json'),
+      JSON.stringify({
+        plugins: [['./plugins/shout.mjs', { suffix: '!' }]],
+      }),
+      'utf-8'
+    );
+    await fs.mkdir(path.join(projectDir, 'docs'), { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, 'docs', 'doc.md'),
+      '# Doc\n\n## Data\n\n| a | b |\n| - | - |\n| 1 | 2 |\n',
+      'utf-8'
+    );
+    const docsDir = path.join(projectDir, 'docs');
+
+    const list = await runCLI(['list', 'doc.md', '--raw'], { cwd: docsDir });
+    assert(
+      list.stdout === 'DOC!\n  DATA!\n',
+      'Config plugins should be resolved relative to the config file'
+    );
+
+    const search = await runCLI(
+      ['search', 'doc.md', 'table', '--plugin', 'remark-gfm', '-f', 'json'],
+      { cwd: docsDir }
+    );
+    assert(
+      JSON.parse(search.stdout).length === 1,
+      '--plugin should load packages by name'
+    );
+
+    const printed = await runCLI(['config', '--print', '-f', 'json'], {
+      cwd: docsDir,
+    });
+    const [[pluginPath, pluginOptions]] = JSON.parse(printed.stdout).plugins;
+    assert(
+      pluginPath === path.join(projectDir, 'plugins', 'shout.mjs') &&
+        pluginOptions.suffix === '!',
+      'Should print plugins with their options'
+    );
+
+    const missing = await runCLI(
+      ['list', 'doc.md', '--plugin', 'remark-does-not-exist'],
+      { cwd: docsDir }
+    );
+    assert(
+      missing.code === 1 &&
+        missing.stderr.includes('Cannot load plugin "remark-does-not-exist"'),
+      'Should report plugins that cannot be loaded'
+    );
+  });
+
+  await test('CLI edits with plugins that add nodes', async () => {
+    const projectDir = path.join(testDir, 'plugin-footer');
+    await fs.mkdir(projectDir, { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, 'footer.mjs'),
+      `export default function footer() {
+  return (tree) => {
+    tree.children.push({
+      type: 'paragraph',
+      children: [{ type: 'text', value: 'Generated.' }],
+    });
+  };
+}
+`,
+      'utf-8'
+    );
+    await fs.writeFile(
+      path.join(projectDir, 'doc.md'),
+      '# Doc\n\n<!-- toc -->\n<!-- tocstop -->\n\n## One\n\nText.\n',
+      'utf-8'
+    );
+
+    const extracted = await runCLI(
+      ['extract', 'doc.md', 'One', '--plugin', './footer.mjs', '--raw'],
+      { cwd: projectDir }
+    );
+    assert(
+      extracted.code === 0 && extracted.stdout.startsWith('## One\n\nText.'),
+      `Extract should work with nodes that have no position: ${extracted.stderr}`
+    );
+
+    const written = await runCLI(
+      ['toc', 'doc.md', '--write', '--plugin', './footer.mjs'],
+      { cwd: projectDir }
+    );
+    const content = await fs.readFile(path.join(projectDir, 'doc.md'), 'utf-8');
+    assert(
+      written.code === 0 && content.includes('* [One](#one)'),
+      `toc --write should work with nodes that have no position: ${written.stderr}`
+    );
+  });
+
+  await test('CLI explode --level and --recursive round trip', async () => {
+    const specFile = path.join(testDir, 'spec.md');
+    const spec = `# Spec
+
+## Part One
+
+### Setup
+
+Install it.
+
+#### Detail
+
+More.
+
+### Usage
+
+\`\`\`bash
+## not a heading
+\`\`\`
+
+## Part Two
+
+Intro to two.
+
+### Config
+
+Configure.
+
+## Appendix
+
+Text.
+`;
+    await fs.writeFile(specFile, spec, 'utf-8');
+
+    const flatDir = path.join(testDir, 'spec-level-3');
+    const flat = await runCLI(['explode', specFile, flatDir, '--level', '3']);
+    assert(flat.code === 0, 'Explode at level 3 should succeed');
+    const flatFiles = (await fs.readdir(flatDir)).sort();
+    assert(
+      flatFiles.join(',') ===
+        'appendix.md,config.md,index.md,md-tree.json,setup.md,usage.md',
+      `Unexpected files: ${flatFiles.join(', ')}`
+    );
+    const setup = await fs.readFile(path.join(flatDir, 'setup.md'), 'utf-8');
+    assert(
+      setup.startsWith('# Setup\n\nInstall it.\n\n## Detail\n'),
+      'Level 3 sections should be shifted to level 1'
+    );
+    const flatIndex = await fs.readFile(
+      path.join(flatDir, 'index.md'),
+      'utf-8'
+    );
+    assert(
+      flatIndex.includes(
+        '  - [Part One](#part-one)\n    - [Setup](./setup.md)'
+      ),
+      'Parent headings should be listed in the index'
+    );
+    assert(
+      flatIndex.endsWith('## Part One\n\n## Part Two\n\nIntro to two.\n\n'),
+      'Parent headings should be kept in the index with their text'
+    );
+    const links = await runCLI(['check-links', path.join(flatDir, 'index.md')]);
+    assert(links.code === 0, 'Index anchors of parent headings should resolve');
+
+    const flatAssembled = path.join(testDir, 'spec-level-3.md');
+    await runCLI(['assemble', flatDir, flatAssembled]);
+    assert(
+      (await fs.readFile(flatAssembled, 'utf-8')) === spec,
+      'Assemble should restore the parent headings and their text'
+    );
+    await fs.rm(path.join(flatDir, 'md-tree.json'));
+    await runCLI(['assemble', flatDir, flatAssembled, '--force']);
+    assert(
+      (await fs.readFile(flatAssembled, 'utf-8')) === spec,
+      'Parent text should be restored from the index alone'
+    );
+
+    const nestedDir = path.join(testDir, 'spec-nested');
+    const nested = await runCLI(['explode', specFile, nestedDir, '-r']);
+    assert(nested.code === 0, 'Recursive explode should succeed');
+    const partTwo = await fs.readFile(
+      path.join(nestedDir, 'part-two', 'index.md'),
+      'utf-8'
+    );
+    assert(
+      partTwo ===
+        '# Part Two\n\nIntro to two.\n\n## Table of Contents\n\n- [Part Two](#table-of-contents)\n  - [Config](./config.md)\n',
+      'Nested index should keep the section text and list subsections'
+    );
+    const usage = await fs.readFile(
+      path.join(nestedDir, 'part-one', 'usage.md'),
+      'utf-8'
+    );
+    assert(
+      usage.includes('# Usage\n\n```bash\n## not a heading\n```'),
+      'Should not shift headings in code blocks'
+    );
+    const nestedIndex = await fs.readFile(
+      path.join(nestedDir, 'index.md'),
+      'utf-8'
+    );
+    assert(
+      nestedIndex.includes(
+        '      - [Detail](./part-one/setup.md#detail)\n    - [Usage](./part-one/usage.md)'
+      ),
+      'Top-level index should link into nested directories'
+    );
+
+    const nestedAssembled = path.join(testDir, 'spec-nested.md');
+    const assembled = await runCLI(['assemble', nestedDir, nestedAssembled]);
+    assert(
+      assembled.stdout.includes('part-two/config.md'),
+      'Should assemble nested directories'
+    );
+    assert(
+      (await fs.readFile(nestedAssembled, 'utf-8')) === spec,
+      'Recursive explode and assemble should round-trip exactly'
+    );
+  });
+
+  await test('CLI explode keeps the preamble and roundtrip-check', async () => {
+    const docFile = path.join(testDir, 'preamble.md');
+    const doc = `---
+title: Guide
+---
+
+[![build](https://example.com/badge.svg)](https://example.com)
+
+# Guide
+
+An introduction before the first section.
+
+## Install
+
+Run it.
+
+## Use
+
+Use it.
+`;
+    await fs.writeFile(docFile, doc, 'utf-8');
+
+    const outDir = path.join(testDir, 'preamble');
+    await runCLI(['explode', docFile, outDir]);
+    const index = await fs.readFile(path.join(outDir, 'index.md'), 'utf-8');
+    assert(
+      index.startsWith(doc.slice(0, doc.indexOf('## Install'))),
+      'Index should start with everything before the first section'
+    );
+
+    const assembledFile = path.join(testDir, 'preamble-assembled.md');
+    await runCLI(['assemble', outDir, assembledFile]);
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) === doc,
+      'Assemble should restore the frontmatter, badges and introduction'
+    );
+
+    const ok = await runCLI(['roundtrip-check', docFile]);
+    assert(ok.code === 0, 'Round trip should succeed');
+    assert(
+      ok.stdout.includes('✅ preamble.md round-trips'),
+      'Should report a clean round trip'
+    );
+
+    const specFile = path.join(testDir, 'spec.md');
+    const untitledFile = path.join(testDir, 'untitled.md');
+    await fs.writeFile(untitledFile, '## A\n\na\n\n## B\n\nb\n', 'utf-8');
+    const untitled = await runCLI(['roundtrip-check', untitledFile]);
+    assert(untitled.code === 0, 'Documents without a title should round-trip');
+
+    const flatFile = path.join(testDir, 'flat.md');
+    await fs.writeFile(flatFile, '# Flat\n\nNo sections.\n', 'utf-8');
+    const flat = await runCLI(['roundtrip-check', flatFile]);
+    assert(flat.code === 1, 'A document without sections cannot be checked');
+    assert(
+      flat.stdout.includes('in flat.md') &&
+        flat.stderr.includes('Nothing to check: flat.md'),
+      `Should name the checked file: ${flat.stdout}${flat.stderr}`
+    );
+
+    const deeper = await runCLI(['roundtrip-check', specFile, '--level', '3']);
+    assert(deeper.code === 0, 'Parent text should round-trip at level 3');
+
+    const tempDirs = async () =>
+      (await fs.readdir(os.tmpdir())).filter((name) =>
+        name.startsWith('md-tree-')
+      );
+    const before = await tempDirs();
+    const badLevel = await runCLI([
+      'roundtrip-check',
+      specFile,
+      '--level',
+      '7',
+    ]);
+    assert(
+      badLevel.code === 1 && badLevel.stderr.includes('level must be between'),
+      'Should reject an invalid level'
+    );
+    assert(
+      (await tempDirs()).every((name) => before.includes(name)),
+      'Should remove its temporary directory when it fails'
+    );
+
+    const partsFile = path.join(testDir, 'parts.md');
+    await fs.writeFile(
+      partsFile,
+      '# Manual\n\n## Start\n\nGo.\n\n# Reference\n\nLookup tables.\n\n## Codes\n\nA to Z.\n\n# Glossary\n\nTerms.\n',
+      'utf-8'
+    );
+    const parts = await runCLI(['roundtrip-check', partsFile]);
+    assert(parts.code === 0, 'Later level 1 headings should round-trip');
+  });
+
+  await test('CLI explode and assemble rewrite relative links', async () => {
+    const docFile = path.join(testDir, 'links.md');
+    const doc = `# Links
+
+See [setup](#setup) and ![logo](images/logo.png).
+
+## Setup
+
+Then read [usage](#usage), [the first example](#example) or [notes](../notes.md#top).
+
+### Example
+
+One.
+
+## Usage
+
+Back to [setup](#setup) and [the second example](#example-1).
+
+### Example
+
+Two, see [the site](https://example.com) and [the logo][logo].
+
+[logo]: images/logo.png
+`;
+    await fs.writeFile(docFile, doc, 'utf-8');
+
+    const outDir = path.join(testDir, 'links');
+    await runCLI(['explode', docFile, outDir]);
+    const setup = await fs.readFile(path.join(outDir, 'setup.md'), 'utf-8');
+    assert(
+      setup.includes(
+        '[usage](./usage.md#usage), [the first example](#example) or [notes](../../notes.md#top)'
+      ),
+      'Cross-section anchors and relative paths should be rewritten'
+    );
+    const usage = await fs.readFile(path.join(outDir, 'usage.md'), 'utf-8');
+    assert(
+      usage.includes(
+        '[setup](./setup.md#setup) and [the second example](#example)'
+      ),
+      'Anchors should match the headings of the new file'
+    );
+    assert(
+      usage.includes('[the site](https://example.com)') &&
+        usage.includes('[logo]: ../images/logo.png'),
+      'Definitions should be rewritten and absolute URLs kept'
+    );
+    const index = await fs.readFile(path.join(outDir, 'index.md'), 'utf-8');
+    assert(
+      index.includes(
+        '[setup](./setup.md#setup) and ![logo](../images/logo.png)'
+      ),
+      'Links in the preamble should be rewritten'
+    );
+
+    const assembledFile = path.join(testDir, 'links-assembled.md');
+    await runCLI(['assemble', outDir, assembledFile]);
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) === doc,
+      'Assemble should restore the original links'
+    );
+
+    const nested = await runCLI(['roundtrip-check', docFile, '--recursive']);
+    assert(nested.code === 0, 'Links should round-trip through directories');
+  });
+
+  await test('CLI assemble keeps links written with ./', async () => {
+    const docFile = path.join(testDir, 'dot-links.md');
+    const doc = `# Photos
+
+## Cover
+
+![p](./pic.png) and [the rest](./more/photos.md#top).
+
+## Credits
+
+Shot with [settings](./settings.md).
+`;
+    await fs.writeFile(docFile, doc, 'utf-8');
+
+    const outDir = path.join(testDir, 'dot-links');
+    await runCLI(['explode', docFile, outDir]);
+    const cover = await fs.readFile(path.join(outDir, 'cover.md'), 'utf-8');
+    assert(
+      cover.includes('![p](../pic.png)'),
+      'Exploded links should be relative to the section file'
+    );
+
+    const assembledFile = path.join(testDir, 'dot-links-assembled.md');
+    await runCLI(['assemble', outDir, assembledFile]);
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) === doc,
+      'Assemble should restore the leading ./ of links'
+    );
+
+    const check = await runCLI(['roundtrip-check', docFile]);
+    assert(check.code === 0, 'Links with ./ should round-trip');
+  });
+
+  await test('CLI assemble reads the manifest or a reformatted index', async () => {
+    const docFile = path.join(testDir, 'manifest.md');
+    const doc = `# Manual
+
+## Part **One**
+
+### Start
+
+Go.
+
+### Stop
+
+Halt.
+
+## Reference
+
+Facts.
+`;
+    await fs.writeFile(docFile, doc, 'utf-8');
+
+    const outDir = path.join(testDir, 'manifest');
+    await runCLI(['explode', docFile, outDir, '--level', '3']);
+    const manifest = JSON.parse(
+      await fs.readFile(path.join(outDir, 'md-tree.json'), 'utf-8')
+    );
+    assert(
+      manifest.sections[0].heading === '## Part **One**' &&
+        manifest.sections[0].sections[1].file === 'stop.md' &&
+        manifest.sections[1].file === 'reference.md',
+      'Manifest should list headings, levels and files in order'
+    );
+
+    // A hand-written TOC does not matter while the manifest is there
+    const indexPath = path.join(outDir, 'index.md');
+    await fs.writeFile(
+      indexPath,
+      '# Manual\n\n## Table of Contents\n\nSee the files.\n',
+      'utf-8'
+    );
+    const assembledFile = path.join(testDir, 'manifest-assembled.md');
+    const withManifest = await runCLI(['assemble', outDir, assembledFile]);
+    assert(
+      withManifest.stdout.includes('md-tree.json'),
+      'Should read the manifest'
+    );
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) === doc,
+      'Assemble from the manifest should restore the document'
+    );
+
+    // Without a manifest the TOC list is read, however it is indented
+    await fs.rm(path.join(outDir, 'md-tree.json'));
+    await fs.writeFile(
+      indexPath,
+      `# Manual
+
+## Table of Contents
+
+* [Manual](#table-of-contents)
+    * [Part One](#part-one)
+        * [Start](start.md)
+        * [Stop](./stop.md)
+    * [Reference](./reference.md)
+`,
+      'utf-8'
+    );
+    const fromToc = await runCLI([
+      'assemble',
+      outDir,
+      assembledFile,
+      '--force',
+    ]);
+    assert(fromToc.code === 0, 'Assemble from a reformatted TOC should work');
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) ===
+        doc.replace('Part **One**', 'Part One'),
+      'Assemble should find the sections in a reformatted TOC'
+    );
+  });
+
+  await test('CLI explode names colliding and empty sections', async () => {
+    const docFile = path.join(testDir, 'collisions.md');
+    const doc = `# Collisions
+
+## Setup
+
+One.
+
+## Setup!
+
+Two.
+
+## 🚀
+
+Three.
+
+## Index
+
+Four.
+`;
+    await fs.writeFile(docFile, doc, 'utf-8');
+
+    const expected = {
+      suffix: 'index-1.md,index.md,md-tree.json,section.md,setup-1.md,setup.md',
+      number:
+        '01-setup.md,02-setup.md,03-section.md,04-index.md,index.md,md-tree.json',
+    };
+    for (const [naming, files] of Object.entries(expected)) {
+      const outDir = path.join(testDir, `collisions-${naming}`);
+      const result = await runCLI([
+        'explode',
+        docFile,
+        outDir,
+        '--naming',
+        naming,
+      ]);
+      const written = (await fs.readdir(outDir)).sort();
+      assert(
+        written.join(',') === files,
+        `Unexpected ${naming} files: ${written.join(', ')}`
+      );
+      assert(
+        result.stdout.includes('"🚀" has no characters usable in a file name'),
+        'Should warn about empty file names'
+      );
+
+      const assembledFile = path.join(testDir, `collisions-${naming}.md`);
+      await runCLI(['assemble', outDir, assembledFile]);
+      assert(
+        (await fs.readFile(assembledFile, 'utf-8')) === doc,
+        `Sections named with ${naming} should assemble to the original`
+      );
+    }
+
+    const hashDir = path.join(testDir, 'collisions-hash');
+    const hashed = await runCLI([
+      'explode',
+      docFile,
+      hashDir,
+      '--naming',
+      'hash',
+    ]);
+    assert(
+      /"Setup!" has the same file name as an earlier section, writing it to setup-[0-9a-f]{8}\.md/.test(
+        hashed.stdout
+      ),
+      'Should name colliding sections with a hash'
+    );
+    const manifest = JSON.parse(
+      await fs.readFile(path.join(hashDir, 'md-tree.json'), 'utf-8')
+    );
+    assert(
+      manifest.sections[3].title === 'Index' &&
+        /^index-[0-9a-f]{8}\.md$/.test(manifest.sections[3].file),
+      'Manifest should map headings to their files'
+    );
+
+    const invalid = await runCLI([
+      'explode',
+      docFile,
+      hashDir,
+      '--naming',
+      'x',
+    ]);
+    assert(invalid.code === 1, 'Unknown naming strategies should fail');
+  });
+
+  await test('CLI writing commands protect existing files', async () => {
+    const docFile = path.join(testDir, 'protect.md');
+    await fs.writeFile(docFile, '# Doc\n\n## Keep\n\nOne.\n\n## Old\n\nTwo.\n');
+    const outDir = path.join(testDir, 'protect');
+    await runCLI(['explode', docFile, outDir]);
+
+    await fs.writeFile(
+      docFile,
+      '# Doc\n\n## Keep\n\nOne!\n\n## New\n\nThree.\n'
+    );
+    const refused = await runCLI(['explode', docFile, outDir]);
+    assert(refused.code === 1, 'Should refuse a non-empty output directory');
+    assert(
+      refused.stderr.includes('is not empty (use --force to overwrite)'),
+      'Should explain how to overwrite'
+    );
+
+    const preview = await runCLI([
+      'explode',
+      docFile,
+      outDir,
+      '--clean',
+      '--dry-run',
+    ]);
+    assert(preview.code === 0, 'Dry run should succeed');
+    assert(
+      preview.stdout.includes('Would update') &&
+        preview.stdout.includes('-One.\n+One!') &&
+        preview.stdout.includes('Would create') &&
+        /Would remove .*old\.md/.test(preview.stdout),
+      'Dry run should list changes with diffs'
+    );
+    assert(
+      (await fs.readdir(outDir)).includes('old.md') &&
+        !(await fs.readdir(outDir)).includes('new.md'),
+      'Dry run should not touch the files'
+    );
+
+    const forced = await runCLI([
+      'explode',
+      docFile,
+      outDir,
+      '--force',
+      '--clean',
+    ]);
+    assert(forced.code === 0, '--force should overwrite');
+    assert(
+      (await fs.readdir(outDir)).sort().join(',') ===
+        'index.md,keep.md,md-tree.json,new.md',
+      '--clean should remove stale section files'
+    );
+
+    const assembledFile = path.join(testDir, 'protect-assembled.md');
+    await fs.writeFile(assembledFile, 'Precious.\n');
+    const assemble = await runCLI(['assemble', outDir, assembledFile]);
+    assert(assemble.code === 1, 'Assemble should not replace a file');
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) === 'Precious.\n',
+      'The existing file should be kept'
+    );
+    await runCLI(['assemble', outDir, assembledFile, '--force']);
+    assert(
+      (await fs.readFile(assembledFile, 'utf-8')) ===
+        (await fs.readFile(docFile, 'utf-8')),
+      'Assemble --force should overwrite'
+    );
+
+    const extractDir = path.join(testDir, 'protect-extract');
+    await fs.mkdir(extractDir, { recursive: true });
+    await fs.writeFile(path.join(extractDir, 'keep.md'), 'Mine.\n');
+    const extract = await runCLI([
+      'extract',
+      docFile,
+      'Keep',
+      '-o',
+      extractDir,
+    ]);
+    assert(extract.code === 1, 'Extract should not replace a file');
+
+    const inPlaceFile = path.join(testDir, 'protect-in-place.md');
+    const inPlace =
+      '---\ntitle: Old\n---\n\n# Doc\n\n<!-- toc -->\n<!-- tocstop -->\n\n## One\n';
+    await fs.writeFile(inPlaceFile, inPlace);
+    const tocPreview = await runCLI([
+      'toc',
+      inPlaceFile,
+      '--write',
+      '--dry-run',
+    ]);
+    assert(
+      tocPreview.code === 0 && tocPreview.stdout.includes('+  * [One](#one)'),
+      'toc --write --dry-run should print a diff'
+    );
+    const frontmatterPreview = await runCLI([
+      'frontmatter',
+      inPlaceFile,
+      'title',
+      'New',
+      '--dry-run',
+    ]);
+    assert(
+      frontmatterPreview.code === 0 &&
+        frontmatterPreview.stdout.includes('-title: Old\n+title: New'),
+      'frontmatter --dry-run should print a diff'
+    );
+    assert(
+      (await fs.readFile(inPlaceFile, 'utf-8')) === inPlace,
+      'Dry runs should not edit the file'
+    );
+  });
+
+  await test('CLI build resolves includes and --check', async () => {
+    const sharedDir = path.join(testDir, 'shared');
+    await fs.mkdir(sharedDir, { recursive: true });
+    await fs.writeFile(
+      path.join(sharedDir, 'support.md'),
+      '---\ntitle: Support\n---\n\n# Support\n\nWrite to us.\n\n## Hours\n\nNine to five.\n'
+    );
+    const handbook = path.join(testDir, 'handbook.md');
+    await fs.writeFile(
+      handbook,
+      '# Handbook\n\n## Help\n\n<!-- include: ./shared/support.md#Hours -->\n\n## Contact\n\n<!-- include: ./shared/support.md -->\n'
+    );
+
+    const printed = await runCLI(['build', handbook]);
+    assert(
+      printed.stdout ===
+        '# Handbook\n\n## Help\n\n### Hours\n\nNine to five.\n\n## Contact\n\n### Support\n\nWrite to us.\n\n#### Hours\n\nNine to five.\n',
+      `Unexpected build output:\n${printed.stdout}`
+    );
+
+    const outFile = path.join(testDir, 'HANDBOOK.md');
+    await runCLI(['build', handbook, '-o', outFile]);
+    assert(
+      (await fs.readFile(outFile, 'utf-8')) === printed.stdout,
+      'Build should write the output file'
+    );
+    const upToDate = await runCLI([
+      'build',
+      handbook,
+      '-o',
+      outFile,
+      '--check',
+    ]);
+    assert(upToDate.code === 0, 'Check should pass for a fresh build');
+
+    await fs.appendFile(handbook, '\nMore.\n');
+    const stale = await runCLI(['build', handbook, '-o', outFile, '--check']);
+    assert(stale.code === 1, 'Check should fail for a stale build');
+    assert(
+      stale.stderr.includes('is out of date'),
+      'Check should say the output is out of date'
+    );
+
+    const unforced = await runCLI(['build', handbook, '-o', outFile]);
+    assert(unforced.code === 1, 'Should not overwrite without --force');
+    assert(
+      unforced.stderr.includes('already exists') &&
+        (await fs.readFile(outFile, 'utf-8')) === printed.stdout,
+      'Should keep the existing output file'
+    );
+    await runCLI(['build', handbook, '-o', outFile, '--force']);
+    assert(
+      (await fs.readFile(outFile, 'utf-8')).endsWith('More.\n'),
+      '--force should overwrite the output file'
+    );
+    const rebuilt = await runCLI(['build', handbook, '-o', outFile]);
+    assert(rebuilt.code === 0, 'Unchanged output should not need --force');
+
+    await fs.writeFile(
+      path.join(sharedDir, 'support.md'),
+      '# Support\n\n<!-- include: ../handbook.md#Help -->\n'
+    );
+    await fs.writeFile(
+      handbook,
+      '# Handbook\n\n## Help\n\n<!-- include: ./shared/support.md -->\n'
+    );
+    const cycle = await runCLI(['build', handbook]);
+    assert(cycle.code === 1, 'Include cycles should fail');
+    assert(
+      cycle.stderr.includes('Include cycle:'),
+      'Should report the include cycle'
+    );
+  });
+
   await cleanupTests();
 
   // Summary
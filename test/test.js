@@ -5,10 +5,25 @@
  */
 
 import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
 import path from 'node:path';
+import { setTimeout } from 'node:timers';
 import { fileURLToPath } from 'node:url';
-import { MarkdownTreeParser, createParser, extractSection } from '../index.js';
+import remarkGfm from 'remark-gfm';
+import {
+  MarkdownTreeParser,
+  AmbiguousSectionError,
+  Slugger,
+  createParser,
+  extractSection,
+  findClosestSlug,
+  slugify,
+} from '../index.js';
 import { MarkdownCLI } from '../bin/md-tree.js'; // Added for checkLinks test
+import { formatJUnitReport } from '../lib/link-report.js';
+import { LinkChecker } from '../lib/link-checker.js';
+import { createLinkFilter } from '../lib/link-filter.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -204,6 +219,612 @@ async function runTests() {
     assert(result.includes('-'), 'Should use custom bullet');
   });
 
+  // Test GitHub Flavored Markdown support
+  const gfmMarkdown = `# GFM Document
+
+| Name | Value |
+| ---- | ----- |
+| a    | 1     |
+
+- [x] Done task
+- [ ] Open task
+
+This is ~~deleted~~ text with a footnote[^1] and https://example.com.
+
+[^1]: The footnote.
+`;
+
+  await test('GFM constructs stay plain without the gfm option', async () => {
+    const tree = await parser.parse(gfmMarkdown);
+    assert(
+      parser.selectAll(tree, 'table').length === 0,
+      'Tables should not be parsed without gfm'
+    );
+  });
+
+  await test('Parse GFM constructs with the gfm option', async () => {
+    const gfmParser = createParser({ gfm: true });
+    const tree = await gfmParser.parse(gfmMarkdown);
+    assert(
+      gfmParser.selectAll(tree, 'table').length === 1,
+      'Should find table'
+    );
+    assert(
+      gfmParser.selectAll(tree, 'delete').length === 1,
+      'Should find strikethrough'
+    );
+    assert(
+      gfmParser.selectAll(tree, 'footnoteDefinition').length === 1,
+      'Should find footnote definition'
+    );
+    assert(
+      gfmParser.selectAll(tree, 'link[url="https://example.com"]').length === 1,
+      'Should find autolink literal'
+    );
+  });
+
+  await test('Round-trip GFM constructs through stringify', async () => {
+    const gfmParser = createParser({ gfm: true, bullet: '-' });
+    const tree = await gfmParser.parse(gfmMarkdown);
+    const result = await gfmParser.stringify(tree);
+    assert(result.includes('| Name | Value |'), 'Should keep table header');
+    assert(result.includes('- [x] Done task'), 'Should keep checked task');
+    assert(result.includes('- [ ] Open task'), 'Should keep open task');
+    assert(result.includes('~~deleted~~'), 'Should keep strikethrough');
+    assert(result.includes('[^1]: The footnote.'), 'Should keep footnote');
+  });
+
+  await test('GFM document statistics', async () => {
+    const gfmParser = createParser({ gfm: true });
+    const tree = await gfmParser.parse(gfmMarkdown);
+    const stats = gfmParser.getStats(tree);
+    assert(stats.tables === 1, `Should count 1 table, found ${stats.tables}`);
+    assert(
+      stats.taskListItems.total === 2 && stats.taskListItems.checked === 1,
+      'Should count task list items'
+    );
+    assert(stats.strikethrough === 1, 'Should count strikethrough');
+    assert(stats.footnotes === 1, 'Should count footnotes');
+  });
+
+  // Test frontmatter support
+  const frontmatterMarkdown = `---
+title: Guide
+tags:
+  - docs
+---
+
+# Guide
+
+Body text.
+`;
+
+  await test('Parse YAML frontmatter', async () => {
+    const tree = await parser.parse(frontmatterMarkdown);
+    assert(tree.children[0].type === 'yaml', 'First node should be yaml');
+    assert(
+      parser.selectAll(tree, 'thematicBreak').length === 0,
+      'Frontmatter should not become a thematic break'
+    );
+
+    const data = parser.getFrontmatter(tree);
+    assert(data.title === 'Guide', 'Should parse title');
+    assert(data.tags[0] === 'docs', 'Should parse tags list');
+  });
+
+  await test('Parse TOML frontmatter', async () => {
+    const tree = await parser.parse('+++\ntitle = "Guide"\n+++\n\n# Guide\n');
+    const data = parser.getFrontmatter(tree);
+    assert(data.title === 'Guide', 'Should parse TOML title');
+  });
+
+  await test('Documents without frontmatter', async () => {
+    const tree = await parser.parse('# No frontmatter\n');
+    assert(parser.getFrontmatter(tree) === null, 'Should return null');
+  });
+
+  await test('Set and remove frontmatter', async () => {
+    const tree = await parser.parse(frontmatterMarkdown);
+    parser.setFrontmatter(tree, {
+      ...parser.getFrontmatter(tree),
+      draft: true,
+    });
+    const result = await parser.stringify(tree);
+    assert(result.startsWith('---\ntitle: Guide'), 'Should keep frontmatter');
+    assert(result.includes('draft: true'), 'Should add new key');
+
+    parser.setFrontmatter(tree, null);
+    assert(parser.getFrontmatter(tree) === null, 'Should remove frontmatter');
+
+    const bare = await parser.parse('# Title\n');
+    parser.setFrontmatter(bare, { title: 'New' });
+    assert(
+      (await parser.stringify(bare)).startsWith('---\ntitle: New\n---'),
+      'Should insert frontmatter'
+    );
+  });
+
+  await test('Set a frontmatter value in place', async () => {
+    const source =
+      '---\n# keep me\ntitle: x # why\ntags: [a, b]\n---\n\n# Doc\n';
+    const tree = await parser.parse(source);
+    parser.setFrontmatterValue(tree, ['title'], 'New');
+    parser.setFrontmatterValue(tree, ['author', 'name'], 'Ada');
+    assert(
+      (await parser.stringify(tree, { source })) ===
+        '---\n# keep me\ntitle: New # why\ntags: [a, b]\nauthor:\n  name: Ada\n---\n\n# Doc\n',
+      'Should keep comments and flow lists'
+    );
+
+    const toml = await parser.parse('+++\ntitle = "x"\n+++\n\n# Doc\n');
+    parser.setFrontmatterValue(toml, ['draft'], true);
+    assert(
+      parser.getFrontmatterNode(toml).type === 'toml' &&
+        parser.getFrontmatter(toml).draft === true,
+      'Should set TOML values'
+    );
+  });
+
+  await test('Disable frontmatter parsing', async () => {
+    const plainParser = createParser({ frontmatter: false });
+    const tree = await plainParser.parse(frontmatterMarkdown);
+    assert(
+      plainParser.getFrontmatter(tree) === null,
+      'Should not parse frontmatter when disabled'
+    );
+  });
+
+  // Test hierarchical section tree
+  await test('Build nested section tree', async () => {
+    const tree = await parser.parse(testMarkdown);
+    const sections = parser.getSectionTree(tree);
+
+    assert(sections.length === 1, 'Should have one top-level section');
+    const [main] = sections;
+    assert(main.text === 'Main Title' && main.depth === 1, 'Root is title');
+    assert(main.content.length === 1, 'Title should own its intro paragraph');
+    assert(
+      main.children.map((s) => s.text).join(',') ===
+        'Installation,Usage,Contributing',
+      'Level 2 sections should be children of the title'
+    );
+
+    const installation = main.children[0];
+    assert(installation.slug === 'installation', 'Should compute slug');
+    assert(
+      installation.children.map((s) => s.text).join(',') ===
+        'Prerequisites,Quick Start',
+      'Level 3 sections should nest under Installation'
+    );
+    assert(
+      installation.lines.start === 6 && installation.lines.end === 20,
+      `Installation should span lines 6-20, got ${installation.lines.start}-${installation.lines.end}`
+    );
+    assert(
+      main.lines.start === 2 && main.lines.end === 36,
+      'Title section should span the whole document'
+    );
+  });
+
+  await test('Section tree handles skipped heading levels', async () => {
+    const tree = await parser.parse('## A\n\n#### B\n\n### C\n\n## D\n');
+    const sections = parser.getSectionTree(tree);
+    assert(sections.length === 2, 'Should have two top-level sections');
+    assert(
+      sections[0].children.map((s) => s.text).join(',') === 'B,C',
+      'Deeper headings should nest under the nearest shallower heading'
+    );
+  });
+
+  // Test section addressing
+  const addressMarkdown = `# Guide
+
+## Server
+
+### Configuration
+
+Server config.
+
+## Client
+
+### Configuration
+
+Client config.
+
+### Advanced Configuration
+
+Advanced client config.
+`;
+
+  await test('Extract section by path', async () => {
+    const tree = await parser.parse(addressMarkdown);
+    const section = parser.extractSection(tree, 'Client > Configuration');
+    const markdown = await parser.stringify(section);
+    assert(markdown.includes('Client config.'), 'Should pick client section');
+    assert(
+      !markdown.includes('Advanced client config.'),
+      'Should stop at the next sibling'
+    );
+
+    const nested = parser.extractSection(
+      tree,
+      'Guide > Server > #configuration'
+    );
+    assert(
+      (await parser.stringify(nested)).includes('Server config.'),
+      'Should combine text and slug segments'
+    );
+  });
+
+  await test('Extract section by slug and ordinal', async () => {
+    const tree = await parser.parse(addressMarkdown);
+    const bySlug = parser.extractSection(tree, '#advanced-configuration');
+    assert(
+      (await parser.stringify(bySlug)).includes('Advanced client config.'),
+      'Should find section by slug'
+    );
+
+    const byOrdinal = parser.extractSection(tree, '2.2');
+    assert(
+      (await parser.stringify(byOrdinal)).includes('Advanced client config.'),
+      'Should find second subsection of second section'
+    );
+    assert(
+      parser.extractSection(tree, '3.1') === null,
+      'Out of range ordinal should not match'
+    );
+  });
+
+  await test('Ambiguous section address lists all matches', async () => {
+    const tree = await parser.parse(addressMarkdown);
+    let error = null;
+    try {
+      parser.extractSection(tree, 'Configuration');
+    } catch (err) {
+      error = err;
+    }
+    assert(
+      error instanceof AmbiguousSectionError,
+      'Should throw AmbiguousSectionError'
+    );
+    assert(error.matches.length === 2, 'Should report both exact matches');
+    assert(
+      error.message.includes('Guide > Server > Configuration') &&
+        error.message.includes('Guide > Client > Configuration'),
+      'Message should list the full paths'
+    );
+
+    assert(
+      parser.findSections(tree, 'config').length === 3,
+      'Substring matches should all be returned by findSections'
+    );
+  });
+
+  await test('Paths from an ambiguous address select one section', async () => {
+    const tree = await parser.parse(
+      '# Title\n\n## Configuration\n\nTop.\n\n### Configuration\n\nNested.\n\n## Setup\n\n### Configuration\n\nSetup.\n'
+    );
+    let error = null;
+    try {
+      parser.resolveSection(tree, 'Configuration');
+    } catch (err) {
+      error = err;
+    }
+    assert(error?.matches.length === 3, 'Should report every match');
+    for (const match of error.matches) {
+      const found = parser.findSections(tree, match.path);
+      assert(
+        found.length === 1 &&
+          found[0].section.lines.start === match.section.lines.start,
+        `"${match.path}" should select exactly its own section`
+      );
+    }
+  });
+
+  // Test section mutations
+  const headingTexts = (tree) =>
+    parser.getHeadingsList(tree).map((h) => `${h.level}:${h.text}`);
+
+  await test('Replace a section', async () => {
+    const tree = await parser.parse(testMarkdown);
+    const replacement = await parser.parse('## Setup\n\nNew content.');
+    parser.replaceSection(tree, 'Installation', replacement);
+    assert(
+      headingTexts(tree).join(',') ===
+        '1:Main Title,2:Setup,2:Usage,3:Basic Usage,3:Advanced Usage,2:Contributing',
+      'Should replace the section and its subsections'
+    );
+    assert(
+      parser.replaceSection(tree, 'Missing', replacement) === null,
+      'Should return null for a missing section'
+    );
+  });
+
+  await test('Replace a section but keep subsections', async () => {
+    const tree = await parser.parse(testMarkdown);
+    const replacement = await parser.parse('## Setup\n\nNew content.');
+    parser.replaceSection(tree, 'Installation', replacement, {
+      keepSubsections: true,
+    });
+    const markdown = await parser.stringify(tree);
+    assert(
+      markdown.includes('## Setup\n\nNew content.\n\n### Prerequisites'),
+      'Subsections should follow the new content'
+    );
+    assert(!markdown.includes('npm install'), 'Old body should be gone');
+  });
+
+  await test('Insert and append sections', async () => {
+    const tree = await parser.parse(testMarkdown);
+    const section = await parser.parse('## FAQ\n\nQuestions.');
+    parser.insertSectionAfter(tree, 'Installation', section);
+    parser.insertSectionBefore(tree, 'Main Title', {
+      type: 'html',
+      value: '<!-- top -->',
+    });
+    parser.appendToSection(tree, 'Usage', await parser.parse('Appended.'));
+
+    assert(tree.children[0].value === '<!-- top -->', 'Should insert before');
+    assert(
+      headingTexts(tree).join(',') ===
+        '1:Main Title,2:Installation,3:Prerequisites,3:Quick Start,2:FAQ,2:Usage,3:Basic Usage,3:Advanced Usage,2:Contributing',
+      'Should insert after the last subsection'
+    );
+    const usage = await parser.stringify(parser.extractSection(tree, 'Usage'));
+    assert(
+      usage.includes("Here's how to use it:\n\nAppended.\n\n### Basic Usage"),
+      'Should append before the first subsection'
+    );
+  });
+
+  await test('Remove a section', async () => {
+    const tree = await parser.parse(testMarkdown);
+    parser.removeSection(tree, 'Usage');
+    assert(
+      headingTexts(tree).join(',') ===
+        '1:Main Title,2:Installation,3:Prerequisites,3:Quick Start,2:Contributing',
+      'Should remove the section with its subsections'
+    );
+  });
+
+  await test('Move a section', async () => {
+    const tree = await parser.parse(testMarkdown);
+    parser.moveSection(tree, 'Contributing', 'Installation', {
+      position: 'before',
+    });
+    assert(
+      headingTexts(tree).join(',') ===
+        '1:Main Title,2:Contributing,2:Installation,3:Prerequisites,3:Quick Start,2:Usage,3:Basic Usage,3:Advanced Usage',
+      'Should move before the target'
+    );
+
+    parser.moveSection(tree, 'Usage', 'Prerequisites');
+    assert(
+      headingTexts(tree).join(',') ===
+        '1:Main Title,2:Contributing,2:Installation,3:Prerequisites,3:Usage,4:Basic Usage,4:Advanced Usage,3:Quick Start',
+      'Should move after the target and shift heading levels'
+    );
+
+    let error = null;
+    try {
+      parser.moveSection(tree, 'Installation', 'Prerequisites');
+    } catch (err) {
+      error = err;
+    }
+    assert(error !== null, 'Should refuse to move a section into itself');
+  });
+
+  // Test lossless, position-preserving stringify
+  const losslessMarkdown = `# Styled
+
+- dash bullet
+- another   one
+
+_underscore emphasis_ and __strong__
+
+
+## Keep
+
+Text  with  spaces.
+
+## Drop
+
+Gone.
+`;
+
+  await test('Lossless stringify of an unmodified tree', async () => {
+    const tree = await parser.parse(losslessMarkdown);
+    const result = await parser.stringify(tree, { source: losslessMarkdown });
+    assert(result === losslessMarkdown, 'Output should be byte-identical');
+  });
+
+  await test('Lossless stringify only rewrites changed nodes', async () => {
+    const tree = await parser.parse(losslessMarkdown);
+    parser.removeSection(tree, 'Drop');
+    parser.appendToSection(tree, 'Keep', await parser.parse('* new item'));
+    tree.children[0].children[0].value = 'Restyled';
+
+    const result = await parser.stringify(tree, { source: losslessMarkdown });
+    assert(
+      result ===
+        `# Restyled
+
+- dash bullet
+- another   one
+
+_underscore emphasis_ and __strong__
+
+
+## Keep
+
+Text  with  spaces.
+
+* new item
+`,
+      `Only the edited heading and new list should change, got:\n${result}`
+    );
+  });
+
+  await test('Lossless stringify of an extracted section', async () => {
+    const tree = await parser.parse(losslessMarkdown);
+    const section = parser.extractSection(tree, 'Keep');
+    const result = await parser.stringify(section, {
+      source: losslessMarkdown,
+    });
+    assert(
+      result === '## Keep\n\nText  with  spaces.\n',
+      `Should copy the section verbatim, got:\n${result}`
+    );
+  });
+
+  // Test in-place table of contents
+  await test('Update TOC between markers', async () => {
+    const source = `# Doc
+
+<!-- toc -->
+- [Stale](#stale)
+<!-- tocstop -->
+
+## Alpha
+
+### Beta
+`;
+    const tree = await parser.parse(source);
+    assert(parser.updateTableOfContents(tree), 'Should find markers');
+    const result = await parser.stringify(tree, { source });
+    assert(
+      result.includes(
+        '<!-- toc -->\n\n* [Doc](#doc)\n  * [Alpha](#alpha)\n    * [Beta](#beta)\n\n<!-- tocstop -->'
+      ),
+      `Should replace the stale list, got:\n${result}`
+    );
+    assert(result.startsWith('# Doc\n\n<!-- toc -->'), 'Should keep the rest');
+
+    // An up-to-date TOC is left exactly as written
+    const again = await parser.parse(result);
+    parser.updateTableOfContents(again);
+    assert(
+      (await parser.stringify(again, { source: result })) === result,
+      'Regenerating an up-to-date TOC should not change anything'
+    );
+  });
+
+  await test('Update TOC without a stop marker', async () => {
+    const source = '# Doc\n\n<!-- toc -->\n\n- [Old](#old)\n\n## A\n';
+    const tree = await parser.parse(source);
+    parser.updateTableOfContents(tree);
+    const result = await parser.stringify(tree, { source });
+    assert(
+      result ===
+        '# Doc\n\n<!-- toc -->\n\n* [Doc](#doc)\n  * [A](#a)\n\n<!-- tocstop -->\n\n## A\n',
+      `Should replace the list after the marker, got:\n${result}`
+    );
+  });
+
+  await test('Update TOC under a heading', async () => {
+    const source = '# Doc\n\n## Contents\n\nOld.\n\n## Alpha\n';
+    const tree = await parser.parse(source);
+    assert(
+      parser.updateTableOfContents(tree, { heading: 'Contents', maxLevel: 2 }),
+      'Should find the heading'
+    );
+    const result = await parser.stringify(tree, { source });
+    assert(
+      result ===
+        '# Doc\n\n## Contents\n\n* [Doc](#doc)\n  * [Alpha](#alpha)\n\n## Alpha\n',
+      `Should not list the TOC heading itself, got:\n${result}`
+    );
+    assert(
+      !parser.updateTableOfContents(await parser.parse('# Doc\n')),
+      'Should report a missing TOC location'
+    );
+  });
+
+  // Test shared slugger
+  await test('GitHub slug dialect', () => {
+    assert(slugify('API Reference / Overview') === 'api-reference--overview');
+    assert(slugify('Café & Crème') === 'café--crème', 'Should keep accents');
+    assert(slugify('セクション 2.1') === 'セクション-21', 'Should keep CJK');
+    assert(slugify('snake_case!') === 'snake_case', 'Should keep underscores');
+  });
+
+  await test('Other slug dialects', () => {
+    assert(
+      slugify('API Reference / Overview', 'gitlab') === 'api-reference-overview'
+    );
+    assert(
+      slugify('Getting Started', 'bitbucket') ===
+        'markdown-header-getting-started'
+    );
+    assert(slugify('---Test---', 'plain') === 'test');
+    let error = null;
+    try {
+      slugify('x', 'unknown');
+    } catch (err) {
+      error = err;
+    }
+    assert(error !== null, 'Unknown dialect should throw');
+  });
+
+  await test('Slugger numbers duplicate headings', () => {
+    const slugger = new Slugger();
+    assert(slugger.slug('Setup') === 'setup');
+    assert(slugger.slug('Setup') === 'setup-1');
+    assert(slugger.slug('Setup 1') === 'setup-1-1', 'Should avoid collisions');
+    assert(slugger.slug('Setup') === 'setup-2');
+
+    const bitbucket = new Slugger('bitbucket');
+    bitbucket.slug('Setup');
+    assert(bitbucket.slug('Setup') === 'markdown-header-setup_1');
+
+    slugger.reset();
+    assert(slugger.slug('Setup') === 'setup', 'Reset should forget slugs');
+  });
+
+  await test('Find closest slug for suggestions', () => {
+    const slugs = ['installation', 'usage', 'api-reference'];
+    assert(findClosestSlug('instalation', slugs) === 'installation');
+    assert(findClosestSlug('api-refs', slugs) === 'api-reference');
+    assert(findClosestSlug('zzz', slugs) === null, 'Should not guess wildly');
+  });
+
+  await test('JUnit link report escapes XML', () => {
+    const xml = formatJUnitReport([
+      {
+        file: 'docs/a&b.md',
+        line: 2,
+        column: 1,
+        url: './x.md?a=1&b="2"',
+        status: 'failed',
+        reason: 'file not found',
+      },
+    ]);
+    assert(xml.includes('name="docs/a&amp;b.md"'), 'Should escape file');
+    assert(
+      xml.includes('name="./x.md?a=1&amp;b=&quot;2&quot;"'),
+      'Should escape URL'
+    );
+    assert(!xml.includes('a&b'), 'Should not leave raw ampersands');
+  });
+
+  await test('TOC uses unique GitHub anchors', async () => {
+    const tree = await parser.parse(
+      '# Doc\n\n## Setup\n\n## Setup\n\n## C++ & Rust\n'
+    );
+    const toc = parser.generateTableOfContents(tree);
+    assert(toc.includes('[Setup](#setup)'), 'First duplicate keeps base slug');
+    assert(toc.includes('[Setup](#setup-1)'), 'Second duplicate is numbered');
+    assert(toc.includes('[C++ & Rust](#c--rust)'), 'Should match GitHub');
+
+    const gitlab = createParser({ slugDialect: 'gitlab' });
+    assert(
+      gitlab
+        .generateTableOfContents(await gitlab.parse('## C++ & Rust\n'))
+        .includes('(#c-rust)'),
+      'Should honor the slug dialect option'
+    );
+  });
+
   // Test with sample file if it exists
   const samplePath = path.join(__dirname, 'sample.md');
   try {
@@ -666,6 +1287,10 @@ Plain text with email@domain.com should not be a link.
         output.includes('🔗 Checking 2 unique URLs'),
         'Should check 2 unique URLs'
       );
+      assert(
+        output.includes('❌ [undefined] (line 5: undefined reference)'),
+        'Should report the undefined reference'
+      );
       assert(
         output.includes('✅ https://www.google.com'),
         'Should successfully check Google link'
@@ -679,6 +1304,297 @@ Plain text with email@domain.com should not be a link.
     });
   });
 
+  await test('Find undefined, unused and duplicate references', async () => {
+    const markdown = `# Refs
+
+See [defined][docs], [missing text][missing] and [gone][].
+Not references: \`[code][x]\`, \\[escaped][y], [inline](./a.md).
+Image: ![logo][logo]
+
+[docs]: ./docs.md
+[Docs]: ./other-docs.md
+[logo]: ./logo.png
+[unused]: ./unused.md
+`;
+    const tree = await parser.parse(markdown);
+    const problems = parser.findReferenceProblems(tree, markdown);
+    const summary = problems.map(
+      (p) => `${p.type}:${p.label}:${p.line}:${p.column}`
+    );
+
+    assert(
+      JSON.stringify(summary) ===
+        JSON.stringify([
+          'undefined-reference:missing:3:22',
+          'undefined-reference:gone:3:50',
+          'duplicate-definition:Docs:8:1',
+          'unused-definition:unused:10:1',
+        ]),
+      `Unexpected problems: ${summary.join(', ')}`
+    );
+    assert(problems[2].firstLine === 7, 'Should point at first definition');
+  });
+
+  await test('Parser plugins extend parsing, transforms and stringify', async () => {
+    // Transformer with options: runs on every parsed tree
+    function prefixHeadings({ prefix }) {
+      return (tree) => {
+        for (const node of tree.children) {
+          if (node.type === 'heading') {
+            node.children.unshift({ type: 'text', value: prefix });
+          }
+        }
+      };
+    }
+    // Stringify extension: custom serialization of thematic breaks
+    function starBreaks() {
+      const extensions = this.data('toMarkdownExtensions') ?? [];
+      this.data('toMarkdownExtensions', extensions);
+      extensions.push({ handlers: { thematicBreak: () => '* * *' } });
+    }
+
+    const pluginParser = createParser({
+      plugins: [remarkGfm, [prefixHeadings, { prefix: '§ ' }], starBreaks],
+    });
+    const tree = await pluginParser.parse(
+      '# Title\n\n| a |\n| - |\n| b |\n\n---\n'
+    );
+
+    assert(
+      pluginParser.getHeadingsList(tree)[0].text === '§ Title',
+      'Transformer plugins should run on parsed trees'
+    );
+    assert(
+      tree.children.some((node) => node.type === 'table'),
+      'Syntax plugins should extend parsing'
+    );
+    const markdown = await pluginParser.stringify(tree);
+    assert(
+      markdown.includes('* * *') && markdown.includes('| a |'),
+      'Plugins should extend stringifying'
+    );
+  });
+
+  await test('Resolve include directives', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-tree-include-'));
+    try {
+      await fs.mkdir(path.join(tmpDir, 'shared'));
+      await fs.writeFile(
+        path.join(tmpDir, 'shared', 'common.md'),
+        '# Common\n\n## Support\n\nAsk us.\n\n<!-- include: ./hours.md -->\n\n## Other\n\nNo.\n'
+      );
+      await fs.writeFile(
+        path.join(tmpDir, 'shared', 'hours.md'),
+        '## Hours\n\nNine to five.\n'
+      );
+      await fs.writeFile(
+        path.join(tmpDir, 'shared', 'loop.md'),
+        '<!-- include: ./loop.md -->\n'
+      );
+
+      const tree = await parser.parse(
+        '# Handbook\n\n## Help\n\n<!-- include: shared/common.md#Support -->\n\n## End\n'
+      );
+      await parser.resolveIncludes(tree, tmpDir);
+      const headings = parser
+        .getHeadingsList(tree)
+        .map((heading) => `${heading.level}:${heading.text}`);
+      assert(
+        headings.join(',') === '1:Handbook,2:Help,3:Support,4:Hours,2:End',
+        `Included sections should nest under the directive, got ${headings}`
+      );
+      assert(
+        !parser.getHeadingsList(tree).some((h) => h.text === 'Other'),
+        'Only the named section should be included'
+      );
+
+      let error = null;
+      try {
+        await parser.resolveIncludes(
+          await parser.parse('<!-- include: ./shared/loop.md -->\n'),
+          tmpDir
+        );
+      } catch (caught) {
+        error = caught;
+      }
+      assert(
+        error?.message.startsWith('Include cycle:'),
+        'Include cycles should be reported'
+      );
+
+      error = null;
+      try {
+        await parser.resolveIncludes(
+          await parser.parse('<!-- include: ./shared/loop.md#%E0 -->\n'),
+          tmpDir
+        );
+      } catch (caught) {
+        error = caught;
+      }
+      assert(
+        error?.message.startsWith('Cannot include ./shared/loop.md#%E0:'),
+        `Malformed fragments should name the include, got ${error?.message}`
+      );
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('Link filter supports globs, regexes and allowlists', () => {
+    const isIgnored = createLinkFilter({
+      ignore: [
+        'https://example.com/*',
+        '/^http:\\/\\/127\\./i',
+        'mailto:?@x.io',
+      ],
+      allow: ['*/keep'],
+    });
+    assert(isIgnored('https://example.com/a/b'), 'Glob * should cross /');
+    assert(!isIgnored('https://example.com.evil.io/'), 'Globs are anchored');
+    assert(isIgnored('HTTP://127.0.0.1:3000'), 'Should apply regex flags');
+    assert(isIgnored('mailto:a@x.io'), 'Glob ? should match one character');
+    assert(!isIgnored('mailto:ab@x.io'), 'Glob ? should not match two');
+    assert(!isIgnored('https://example.com/keep'), 'Allow should win');
+    assert(!isIgnored('https://github.com'), 'Should check other links');
+
+    let error;
+    try {
+      createLinkFilter({ ignore: ['/(/'] });
+    } catch (err) {
+      error = err;
+    }
+    assert(/Invalid link pattern/.test(error?.message), 'Bad regex throws');
+  });
+
+  // External link checks against a local stub server
+  await test('LinkChecker retries, falls back to GET and caches', async () => {
+    const hits = {};
+    let flaky = 0;
+    const server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] ?? 0) + 1;
+      if (req.url === '/ok') {
+        res.writeHead(200).end();
+      } else if (req.url === '/no-head') {
+        res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+      } else if (req.url === '/flaky') {
+        res.writeHead(++flaky < 3 ? 503 : 200).end();
+      } else if (req.url === '/slow') {
+        setTimeout(() => res.writeHead(200).end(), 1000);
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-tree-links-'));
+    const cacheFile = path.join(tmpDir, 'cache.json');
+
+    try {
+      const checker = new LinkChecker({
+        timeout: 200,
+        retries: 2,
+        retryDelay: 10,
+        cacheFile,
+      });
+      const results = await checker.checkAll([
+        `${base}/ok`,
+        `${base}/no-head`,
+        `${base}/flaky`,
+        `${base}/slow`,
+        `${base}/missing`,
+        `${base}/ok`,
+      ]);
+
+      assert(results.get(`${base}/ok`).ok, 'Should pass 200 responses');
+      assert(hits['/ok'] === 1, 'Should check duplicate URLs once');
+      assert(results.get(`${base}/no-head`).ok, 'Should fall back to GET');
+      assert(results.get(`${base}/flaky`).ok, 'Should retry 5xx responses');
+      assert(flaky === 3, 'Should retry until the server recovers');
+      const slow = results.get(`${base}/slow`);
+      assert(!slow.ok && /timed out/.test(slow.reason), 'Should time out');
+      const missing = results.get(`${base}/missing`);
+      assert(
+        !missing.ok && missing.reason === '404',
+        'Should report HTTP status'
+      );
+      assert(hits['/missing'] === 2, 'Should not retry 404 (HEAD + GET)');
+
+      await checker.saveCache();
+      const cache = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+      assert(cache[`${base}/ok`].status === 200, 'Should cache successes');
+      assert(!cache[`${base}/missing`], 'Should not cache failures');
+
+      const rerun = new LinkChecker({ cacheFile });
+      const cached = await rerun.check(`${base}/ok`);
+      assert(cached.ok && cached.cached, 'Should reuse cached results');
+      assert(hits['/ok'] === 1, 'Cached URLs should not be requested');
+
+      const expired = new LinkChecker({ cacheFile, cacheTtl: 0 });
+      assert(!(await expired.check(`${base}/ok`)).cached, 'Should expire');
+      assert(hits['/ok'] === 2, 'Expired URLs should be requested again');
+    } finally {
+      server.closeAllConnections();
+      server.close();
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('LinkChecker limits concurrency and rate per host', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const server = http.createServer((req, res) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        res.writeHead(200).end();
+      }, 30);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const urls = Array.from({ length: 6 }, (_, i) => `${base}/${i}`);
+
+    try {
+      await new LinkChecker({ concurrency: 2 }).checkAll(urls);
+      assert(
+        maxInFlight === 2,
+        `Expected 2 requests at once, saw ${maxInFlight}`
+      );
+
+      const started = Date.now();
+      await new LinkChecker({ rateLimit: 10 }).checkAll(urls.slice(0, 3));
+      assert(
+        Date.now() - started >= 190,
+        'Should space requests to one host by the rate limit'
+      );
+
+      // A request waiting on one host's rate limit must not hold the only
+      // slot while another host is ready
+      let otherHitAt = null;
+      const other = http.createServer((req, res) => {
+        otherHitAt ??= Date.now();
+        res.writeHead(200).end();
+      });
+      await new Promise((resolve) => other.listen(0, '127.0.0.1', resolve));
+      try {
+        const otherUrl = `http://127.0.0.1:${other.address().port}/`;
+        const mixedStart = Date.now();
+        await new LinkChecker({ concurrency: 1, rateLimit: 5 }).checkAll([
+          ...urls.slice(0, 3),
+          otherUrl,
+        ]);
+        assert(
+          otherHitAt - mixedStart < 150,
+          `Other host waited ${otherHitAt - mixedStart}ms behind a rate limit`
+        );
+      } finally {
+        other.close();
+      }
+    } finally {
+      server.close();
+    }
+  });
+
   // Summary
   console.log(`\n📊 Test Results: ${passedTests}/${testCount} passed`);
 